@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+/**
+ * ブラウザを使わずに動画の生成・確認・取得を行うコマンドラインクライアント。
+ * 既存の /api/videos を呼ぶだけなので、サーバ（npm start）が動いている必要がある。
+ *
+ *   sora-studio generate --prompt "..." [--model sora-2] [--size 720x1280] [--seconds 4] [--ref file] [--wait] [-o out.mp4]
+ *   sora-studio list [--status completed] [--q text] [--limit 20]
+ *   sora-studio status <id> [--wait]
+ *   sora-studio download <id> [-o file.mp4]
+ *
+ * 接続先は --url か SORA_STUDIO_URL（既定 http://localhost:$PORT）。
+ * 認証が有効なサーバには --token か SORA_STUDIO_TOKEN で API_TOKENS のトークンを渡す。
+ * 終了コード: 0 成功 / 1 ジョブが failed・stalled・cancelled / 2 引数の誤り / 3 API・通信のエラー
+ */
+const fs = require('fs');
+const path = require('path');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const EXIT_JOB_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_ERROR = 3;
+
+const ACTIVE_STATUSES = ['pending_local', 'queued', 'in_progress'];
+const BAR_WIDTH = 30;
+
+const USAGE = `Usage: sora-studio <command> [options]
+
+Commands:
+  generate --prompt <text> [--model <id>] [--size WxH] [--seconds <n>] [--ref <file>] [--wait] [-o <file>]
+  list [--status <status>] [--q <text>] [--limit <n>]
+  status <id> [--wait]
+  download <id> [-o <file>]
+
+Options:
+  --url <url>        Server URL (default: $SORA_STUDIO_URL or http://localhost:$PORT)
+  --token <token>    API token (default: $SORA_STUDIO_TOKEN)
+  --interval <sec>   Polling interval while waiting (default: 2)
+  --json             Print raw JSON instead of a summary`;
+
+const FLAGS = ['wait', 'json', 'help'];
+const ALIASES = { o: 'output', h: 'help' };
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_USAGE;
+  return err;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const match = arg.match(/^--?([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(arg);
+      continue;
+    }
+    const name = ALIASES[match[1]] || match[1];
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (match[2] !== undefined) {
+      options[name] = match[2];
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw usageError(`--${name} requires a value`);
+    }
+  }
+  return { command: positional[0], args: positional.slice(1), options };
+}
+
+function createClient({ url, token }) {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  async function request(method, pathname, { body, headers = {} } = {}) {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${pathname}`, {
+        method,
+        body,
+        headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+      });
+    } catch (err) {
+      throw new Error(`Could not reach ${baseUrl}: ${err.cause ? err.cause.message : err.message}`);
+    }
+    if (!response.ok) {
+      const text = await response.text();
+      let payload = {};
+      try {
+        payload = JSON.parse(text);
+      } catch (err) {
+        payload = { message: text.trim() };
+      }
+      const details = (payload.errors || []).map((entry) => `\n  ${entry.field}: ${entry.message}`).join('');
+      throw new Error(`${response.status} ${payload.message || response.statusText}${details}`);
+    }
+    return response;
+  }
+
+  return {
+    async json(method, pathname, options) {
+      return (await request(method, pathname, options)).json();
+    },
+    request,
+  };
+}
+
+function isTerminal(video) {
+  return !ACTIVE_STATUSES.includes(video.status);
+}
+
+function exitCodeFor(video) {
+  return ['failed', 'stalled', 'cancelled'].includes(video.status) ? EXIT_JOB_FAILED : 0;
+}
+
+function describeVideo(video) {
+  const lines = [
+    `${video.id}  ${video.status}${isTerminal(video) ? '' : ` ${video.progress || 0}%`}`,
+    `  ${video.model}  ${video.size}  ${video.seconds}s  ${video.createdAt}`,
+    `  ${video.title || video.prompt}`,
+  ];
+  if (video.queuePosition) {
+    lines.push(`  queue position: ${video.queuePosition}`);
+  }
+  if (video.errorMessage) {
+    lines.push(`  error: ${video.errorCode ? `[${video.errorCode}] ` : ''}${video.errorMessage}`);
+  }
+  return lines.join('\n');
+}
+
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+/**
+ * 端末なら 1 行の進捗バーを \r で書き換え、リダイレクト先ならラベルか 10% 刻みの進捗が変わったときだけ 1 行出す。
+ * detail（経過時間など）は端末のときだけ表示する。
+ * 標準出力は結果（ID やファイル名）に使うので、進捗は標準エラーへ書く。
+ */
+function createProgressBar(stream = process.stderr) {
+  let lastLine = '';
+  let drawn = false;
+  return {
+    update(ratio, label, detail = '') {
+      const percent = Math.round(Math.max(0, Math.min(1, ratio)) * 100);
+      if (!stream.isTTY) {
+        const line = `${label} ${Math.floor(percent / 10) * 10}%`;
+        if (line !== lastLine) {
+          stream.write(`${line}\n`);
+          lastLine = line;
+        }
+        return;
+      }
+      const filled = Math.round((percent / 100) * BAR_WIDTH);
+      const line = `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${String(percent).padStart(3)}% ${label} ${detail}`;
+      stream.write(`\r${line.padEnd(lastLine.length)}`);
+      lastLine = line;
+      drawn = true;
+    },
+    done() {
+      if (drawn) {
+        stream.write('\n');
+        drawn = false;
+      }
+    },
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// 終わる（completed / failed / stalled / cancelled）まで状態を取り直し、最後のレコードを返す
+async function waitForVideo(client, id, { intervalMs }) {
+  const bar = createProgressBar();
+  const startedAt = Date.now();
+  try {
+    for (;;) {
+      const { video } = await client.json('GET', `/api/videos/${encodeURIComponent(id)}/status`);
+      const queue = video.status === 'pending_local' && video.queuePosition ? ` #${video.queuePosition}` : '';
+      const ratio = video.status === 'completed' ? 1 : (video.progress || 0) / 100;
+      bar.update(ratio, `${video.status}${queue}`, formatDuration(Date.now() - startedAt));
+      if (isTerminal(video)) {
+        return video;
+      }
+      await delay(intervalMs);
+    }
+  } finally {
+    bar.done();
+  }
+}
+
+async function downloadVideo(client, id, output) {
+  const response = await client.request('GET', `/api/videos/${encodeURIComponent(id)}/content`);
+  const total = Number(response.headers.get('content-length')) || 0;
+  const bar = createProgressBar();
+  let received = 0;
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (total) {
+        bar.update(received / total, 'downloading', `${(received / (1024 * 1024)).toFixed(1)}MB`);
+      }
+      callback(null, chunk);
+    },
+  });
+  // 途中で失敗したときに中途半端なファイルを残さないよう、一時ファイルに書いてから名前を変える
+  const partialPath = `${output}.partial`;
+  try {
+    await pipeline(Readable.fromWeb(response.body), meter, fs.createWriteStream(partialPath));
+    await fs.promises.rename(partialPath, output);
+  } catch (err) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw err;
+  } finally {
+    bar.done();
+  }
+  return received;
+}
+
+async function generate(client, options) {
+  if (!options.prompt) {
+    throw usageError('generate requires --prompt');
+  }
+  const form = new FormData();
+  form.append('prompt', options.prompt);
+  for (const field of ['model', 'size', 'seconds']) {
+    if (options[field]) {
+      form.append(field, options[field]);
+    }
+  }
+  if (options.ref) {
+    let blob;
+    try {
+      blob = await fs.openAsBlob(options.ref);
+    } catch (err) {
+      throw usageError(`Cannot read --ref ${options.ref}: ${err.message}`);
+    }
+    form.append('input_reference', blob, path.basename(options.ref));
+  }
+
+  const { video: created } = await client.json('POST', '/api/videos', { body: form });
+  if (!options.wait && !options.output) {
+    console.log(options.json ? JSON.stringify(created, null, 2) : created.id);
+    return 0;
+  }
+  process.stderr.write(`Created ${created.id}\n`);
+  const video = await waitForVideo(client, created.id, options);
+  if (video.status === 'completed' && options.output) {
+    await downloadVideo(client, video.id, options.output);
+  }
+  console.log(options.json ? JSON.stringify(video, null, 2) : describeVideo(video));
+  if (video.status === 'completed' && options.output) {
+    console.log(`Saved ${options.output}`);
+  }
+  return exitCodeFor(video);
+}
+
+async function list(client, options) {
+  const params = new URLSearchParams();
+  for (const name of ['status', 'q', 'limit']) {
+    if (options[name]) {
+      params.set(name, options[name]);
+    }
+  }
+  const query = params.toString();
+  const result = await client.json('GET', `/api/videos${query ? `?${query}` : ''}`);
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return 0;
+  }
+  for (const video of result.videos) {
+    const progress = isTerminal(video) ? '' : ` ${video.progress || 0}%`;
+    const text = (video.title || video.prompt || '').replace(/\s+/g, ' ');
+    console.log([
+      video.id,
+      `${video.status}${progress}`.padEnd(16),
+      `${video.model} ${video.size} ${video.seconds}s`.padEnd(24),
+      text.length > 60 ? `${text.slice(0, 59)}…` : text,
+    ].join('  '));
+  }
+  console.log(`${result.videos.length} of ${result.total}`);
+  return 0;
+}
+
+async function status(client, [id], options) {
+  if (!id) {
+    throw usageError('status requires a video id');
+  }
+  const video = options.wait
+    ? await waitForVideo(client, id, options)
+    : (await client.json('GET', `/api/videos/${encodeURIComponent(id)}/status`)).video;
+  console.log(options.json ? JSON.stringify(video, null, 2) : describeVideo(video));
+  return exitCodeFor(video);
+}
+
+async function download(client, [id], options) {
+  if (!id) {
+    throw usageError('download requires a video id');
+  }
+  const output = options.output || `${id}.mp4`;
+  const bytes = await downloadVideo(client, id, output);
+  console.log(`Saved ${output} (${bytes} bytes)`);
+  return 0;
+}
+
+const COMMANDS = { generate, list, status, download };
+
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : EXIT_USAGE;
+  }
+  if (!COMMANDS[command]) {
+    throw usageError(`Unknown command: ${command}`);
+  }
+  const intervalSeconds = Number(options.interval || 2);
+  if (!(intervalSeconds > 0)) {
+    throw usageError('--interval must be a positive number of seconds');
+  }
+  options.intervalMs = intervalSeconds * 1000;
+  const client = createClient({
+    url: options.url || process.env.SORA_STUDIO_URL || `http://localhost:${process.env.PORT || 3000}`,
+    token: options.token || process.env.SORA_STUDIO_TOKEN || '',
+  });
+  return command === 'generate' || command === 'list'
+    ? COMMANDS[command](client, options)
+    : COMMANDS[command](client, args, options);
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err.exitCode === EXIT_USAGE ? `${err.message}\n\n${USAGE}` : err.message);
+    process.exitCode = err.exitCode || EXIT_ERROR;
+  },
+);
@@ -0,0 +1,111 @@
+const { fieldError } = require('./validation');
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const ANNOTATION_FIELDS = ['title', 'tags', 'favorite', 'rating', 'notes'];
+
+function optionalText(body, field, maxLength, errors) {
+  const value = body[field];
+  if (value === null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    errors.push(fieldError(field, 'invalid_format', `${field} must be a string or null`));
+    return undefined;
+  }
+  const text = value.trim();
+  if (Array.from(text).length > maxLength) {
+    errors.push(fieldError(field, 'too_long', `${field} must be at most ${maxLength} characters`));
+    return undefined;
+  }
+  return text || null;
+}
+
+function normalizeTags(value, errors) {
+  // フォームから送りやすいよう "a, b" のようなカンマ区切りも受け付ける
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some((tag) => typeof tag !== 'string')) {
+    errors.push(fieldError('tags', 'invalid_format', 'tags must be an array of strings'));
+    return undefined;
+  }
+  const tags = [];
+  for (const raw of list) {
+    const tag = raw.trim().replace(/\s+/g, ' ');
+    if (!tag || tags.some((existing) => existing.toLowerCase() === tag.toLowerCase())) {
+      continue;
+    }
+    if (tag.includes(',') || Array.from(tag).length > MAX_TAG_LENGTH) {
+      errors.push(fieldError('tags', 'invalid_format', `each tag must be at most ${MAX_TAG_LENGTH} characters without commas`));
+      return undefined;
+    }
+    tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS) {
+    errors.push(fieldError('tags', 'too_long', `at most ${MAX_TAGS} tags are allowed`));
+    return undefined;
+  }
+  return tags;
+}
+
+/**
+ * PATCH /api/videos/:id の本文（title / tags / favorite / rating / notes の一部）を検証・正規化する。
+ * 送られたフィールドだけを changes に入れ、null や空文字はその項目の削除として扱う。
+ */
+function sanitizeAnnotationPatch(body) {
+  const errors = [];
+  const changes = {};
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { changes, errors: [fieldError('body', 'invalid_format', 'request body must be a JSON object')] };
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!ANNOTATION_FIELDS.includes(field)) {
+      errors.push(fieldError(field, 'unsupported', `${field} cannot be updated (allowed: ${ANNOTATION_FIELDS.join(', ')})`));
+    }
+  }
+  if ('title' in body) {
+    changes.title = optionalText(body, 'title', MAX_TITLE_LENGTH, errors);
+  }
+  if ('notes' in body) {
+    changes.notes = optionalText(body, 'notes', MAX_NOTES_LENGTH, errors);
+  }
+  if ('tags' in body) {
+    changes.tags = body.tags === null ? [] : normalizeTags(body.tags, errors);
+  }
+  if ('favorite' in body) {
+    if (typeof body.favorite === 'boolean') {
+      changes.favorite = body.favorite;
+    } else {
+      errors.push(fieldError('favorite', 'invalid_format', 'favorite must be true or false'));
+    }
+  }
+  if ('rating' in body) {
+    if (body.rating === null || (Number.isInteger(body.rating) && body.rating >= 1 && body.rating <= 5)) {
+      changes.rating = body.rating;
+    } else {
+      errors.push(fieldError('rating', 'invalid_format', 'rating must be an integer from 1 to 5, or null'));
+    }
+  }
+  if (errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push(fieldError('body', 'empty', `specify at least one of ${ANNOTATION_FIELDS.join(', ')}`));
+  }
+  return { changes, errors };
+}
+
+// 付いているタグと件数（多い順、同数なら名前順）。大文字小文字の違いは最初に見つかった表記にまとめる
+function countTags(records) {
+  const counts = new Map();
+  for (const record of records) {
+    for (const tag of record.tags || []) {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    }
+  }
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+module.exports = { ANNOTATION_FIELDS, sanitizeAnnotationPatch, countTags };
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { requestContext } = require('./logger');
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+/**
+ * 追記専用の監査ログ（JSON Lines）。既存の行は書き換えない。
+ * 1 行は `{ id, time, action, requestId?, actor?, ...details }`。
+ * 書き込みは順番を保つため 1 本の Promise チェーンに直列化する。
+ */
+function createAuditLog(filePath, { onError = () => {} } = {}) {
+  let queue = Promise.resolve();
+
+  function append(action, details = {}) {
+    const context = requestContext.getStore();
+    const entry = {
+      id: crypto.randomUUID(),
+      time: new Date().toISOString(),
+      action,
+      ...(context ? { requestId: context.requestId, actor: context.actor } : {}),
+      ...details,
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+    queue = queue
+      .then(() => fs.promises.mkdir(path.dirname(filePath), { recursive: true }))
+      .then(() => fs.promises.appendFile(filePath, line))
+      .catch(onError);
+    return entry;
+  }
+
+  function matches(entry, filters) {
+    if (filters.videoId && entry.videoId !== filters.videoId) {
+      return false;
+    }
+    if (filters.requestId && entry.requestId !== filters.requestId) {
+      return false;
+    }
+    // action=video なら video.create / video.status などをまとめて拾う
+    if (filters.action && entry.action !== filters.action && !entry.action.startsWith(`${filters.action}.`)) {
+      return false;
+    }
+    if (filters.since && entry.time < filters.since) {
+      return false;
+    }
+    if (filters.until && entry.time >= filters.until) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 条件に合う行を新しい順に最大 limit 件返す。since / until は ISO 8601 の時刻。
+   */
+  async function query(filters = {}) {
+    await queue;
+    const limit = Math.min(Math.max(Number(filters.limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+    const since = filters.since ? new Date(filters.since).toISOString() : null;
+    const until = filters.until ? new Date(filters.until).toISOString() : null;
+    const normalized = { ...filters, since, until };
+
+    let input;
+    try {
+      await fs.promises.access(filePath);
+      input = fs.createReadStream(filePath, 'utf8');
+    } catch (err) {
+      return { entries: [], hasMore: false };
+    }
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const found = [];
+    let hasMore = false;
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // 書き込み途中で落ちた行などは読み飛ばす
+        continue;
+      }
+      if (!matches(entry, normalized)) {
+        continue;
+      }
+      found.push(entry);
+      if (found.length > limit) {
+        found.shift();
+        hasMore = true;
+      }
+    }
+    return { entries: found.reverse(), hasMore };
+  }
+
+  return {
+    append,
+    query,
+    flush: () => queue,
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'sora_session';
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.isBuffer(a) ? a : Buffer.from(String(a));
+  const right = Buffer.isBuffer(b) ? b : Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// 値はデコードしない（他のサイトが置いた不正な %xx で例外にならないよう、使う側で必要な値だけデコードする）
+function parseCookies(header) {
+  const cookies = Object.create(null);
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      continue;
+    }
+    const name = part.slice(0, index).trim();
+    if (name && !(name in cookies)) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/**
+ * パスワードログイン（署名付き HttpOnly セッション Cookie + CSRF トークン）と
+ * スクリプト向けの Bearer API トークンによる認証。
+ * セッションはサーバ側に保存しない。Cookie の中身は { n: ランダム値, exp } を HMAC で署名したもので、
+ * CSRF トークンは同じ鍵で n から導出するため、セッションごとに異なり Cookie 無しでは作れない。
+ * password も apiTokens も無い場合は認証を無効にする（enabled: false）。
+ * ログアウトしたセッションは n を期限まで失効リストに入れて拒否する（永続化は呼び出し側が
+ * revokeSession の戻り値を保存し、起動時に restoreRevokedSessions へ渡す）。
+ */
+function createAuth({
+  password = '',
+  apiTokens = [],
+  sessionSecret = '',
+  sessionTtlMs = 7 * 24 * 60 * 60 * 1000,
+  secureCookies = false,
+} = {}) {
+  const enabled = Boolean(password) || apiTokens.length > 0;
+  // 未設定なら起動ごとに生成する（再起動でログインし直しになる）
+  const secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+  const passwordDigest = password ? digest(password) : null;
+  const tokenDigests = apiTokens.map(digest);
+  const failedLogins = new Map();
+  // 失効させたセッションの n → exp（期限を過ぎたものは署名検証の時点で弾けるので捨てる）
+  const revokedSessions = new Map();
+
+  function sign(value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+  }
+
+  function readSession(req) {
+    const raw = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!raw) {
+      return null;
+    }
+    let value;
+    try {
+      value = decodeURIComponent(raw);
+    } catch (err) {
+      return null;
+    }
+    const [payload, signature] = value.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+      return null;
+    }
+    let session;
+    try {
+      session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+    if (!session || typeof session.exp !== 'number' || session.exp < Date.now() || revokedSessions.has(session.n)) {
+      return null;
+    }
+    return session;
+  }
+
+  function listRevokedSessions() {
+    const now = Date.now();
+    const entries = [];
+    for (const [n, exp] of revokedSessions) {
+      if (exp < now) {
+        revokedSessions.delete(n);
+      } else {
+        entries.push({ n, exp });
+      }
+    }
+    return entries;
+  }
+
+  // ログアウト用。保存すべき失効リスト（期限切れを除いたもの）を返す
+  function revokeSession(session) {
+    revokedSessions.set(session.n, session.exp);
+    return listRevokedSessions();
+  }
+
+  function restoreRevokedSessions(entries) {
+    for (const entry of entries) {
+      if (entry && typeof entry.n === 'string' && typeof entry.exp === 'number') {
+        revokedSessions.set(entry.n, entry.exp);
+      }
+    }
+    return listRevokedSessions();
+  }
+
+  /**
+   * 認証できれば { via: 'disabled' | 'token' | 'session', session? }、できなければ null。
+   * Authorization ヘッダがある場合はトークンだけで判定し、Cookie にはフォールバックしない。
+   */
+  function authenticate(req) {
+    if (!enabled) {
+      return { via: 'disabled' };
+    }
+    const header = req.headers.authorization;
+    if (header) {
+      const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+      const tokenDigest = match && digest(match[1]);
+      return tokenDigest && tokenDigests.some((candidate) => safeEqual(candidate, tokenDigest))
+        ? { via: 'token' }
+        : null;
+    }
+    const session = readSession(req);
+    return session ? { via: 'session', session } : null;
+  }
+
+  function csrfTokenFor(session) {
+    return sign(`csrf:${session.n}`);
+  }
+
+  // Cookie で認証された状態を変える要求にだけ X-CSRF-Token を求める
+  function verifyCsrf(req, identity) {
+    if (identity.via !== 'session' || !UNSAFE_METHODS.includes(req.method)) {
+      return true;
+    }
+    const token = req.headers['x-csrf-token'];
+    return typeof token === 'string' && safeEqual(token, csrfTokenFor(identity.session));
+  }
+
+  /**
+   * 'ok' / 'invalid' / 'locked' を返す。同じ接続元から一定回数失敗すると、しばらく受け付けない。
+   */
+  function checkPassword(clientKey, candidate) {
+    const now = Date.now();
+    const failures = failedLogins.get(clientKey);
+    if (failures && failures.resetAt <= now) {
+      failedLogins.delete(clientKey);
+    } else if (failures && failures.count >= MAX_FAILED_LOGINS) {
+      return 'locked';
+    }
+    if (passwordDigest && typeof candidate === 'string' && safeEqual(digest(candidate), passwordDigest)) {
+      failedLogins.delete(clientKey);
+      return 'ok';
+    }
+    const entry = failedLogins.get(clientKey) || { count: 0, resetAt: now + FAILED_LOGIN_WINDOW_MS };
+    entry.count += 1;
+    failedLogins.set(clientKey, entry);
+    return 'invalid';
+  }
+
+  function cookieAttributes(req, maxAgeSeconds) {
+    const secure = secureCookies || req.headers['x-forwarded-proto'] === 'https';
+    return [
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Max-Age=${maxAgeSeconds}`,
+      ...(secure ? ['Secure'] : []),
+    ].join('; ');
+  }
+
+  // 新しいセッションを発行し、Set-Cookie の値と CSRF トークンを返す
+  function issueSession(req) {
+    const session = { n: crypto.randomBytes(16).toString('base64url'), exp: Date.now() + sessionTtlMs };
+    const payload = Buffer.from(JSON.stringify(session)).toString('base64url');
+    return {
+      cookie: `${SESSION_COOKIE}=${payload}.${sign(payload)}; ${cookieAttributes(req, Math.floor(sessionTtlMs / 1000))}`,
+      csrfToken: csrfTokenFor(session),
+    };
+  }
+
+  function clearSessionCookie(req) {
+    return `${SESSION_COOKIE}=; ${cookieAttributes(req, 0)}`;
+  }
+
+  return {
+    enabled,
+    passwordLogin: Boolean(passwordDigest),
+    authenticate,
+    verifyCsrf,
+    csrfTokenFor,
+    checkPassword,
+    issueSession,
+    clearSessionCookie,
+    revokeSession,
+    restoreRevokedSessions,
+  };
+}
+
+module.exports = { createAuth, parseCookies };
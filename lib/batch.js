@@ -0,0 +1,170 @@
+const MATRIX_FIELDS = ['model', 'size', 'seconds'];
+
+/**
+ * RFC 4180 相当の最小限の CSV パーサ（ダブルクォート・改行入りセルに対応）。
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+// 1 行目をヘッダとしてオブジェクト配列に変換する
+function csvToEntries(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const keys = header.map((key) => key.trim());
+  if (!keys.includes('prompt')) {
+    throw new Error('CSV header must include a prompt column');
+  }
+  return rows.map((cells) => {
+    const entry = {};
+    keys.forEach((key, index) => {
+      const value = (cells[index] ?? '').trim();
+      if (key && value !== '') {
+        entry[key] = value;
+      }
+    });
+    return entry;
+  });
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [undefined];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+// 展開後の件数。直積は軸の長さの積で膨らむので、展開する前にこれで上限を確かめる
+function matrixSize(matrix) {
+  return MATRIX_FIELDS.reduce(
+    (size, field) => size * toList(matrix[field]).length,
+    toList(matrix.prompts ?? matrix.prompt).length,
+  );
+}
+
+/**
+ * prompt(s) × model × size × seconds の直積を展開する。
+ * 省略した軸は既定値（sanitizeVideoParams 側の既定）に任せる。
+ */
+function expandMatrix(matrix) {
+  const prompts = toList(matrix.prompts ?? matrix.prompt);
+  let entries = prompts.map((prompt) => ({ prompt }));
+  for (const field of MATRIX_FIELDS) {
+    const values = toList(matrix[field]);
+    entries = entries.flatMap((entry) => values.map((value) => (
+      value === undefined ? entry : { ...entry, [field]: value }
+    )));
+  }
+  return entries;
+}
+
+/**
+ * バッチ作成リクエストを個々の生成パラメータの配列にする。
+ * 受け付ける形式:
+ *   - text/csv の本文、または JSON の { csv: string }
+ *   - JSON の { items: [{ prompt, model, size, seconds }, ...] }
+ *   - JSON の { matrix: { prompts: [...], model: [...], size: [...], seconds: [...] } }
+ * items / matrix の各エントリには defaults（JSON の { defaults }）が先に適用される。
+ * matrix は展開後の件数が maxEntries を超えるなら展開せずに Error を投げる。
+ */
+function expandBatchRequest(body, { maxEntries = Infinity } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Batch request must include csv, items or matrix');
+  }
+  const defaults = body.defaults && typeof body.defaults === 'object' ? body.defaults : {};
+  let entries;
+  let source;
+  if (typeof body.csv === 'string') {
+    entries = csvToEntries(body.csv);
+    source = 'csv';
+  } else if (Array.isArray(body.items)) {
+    entries = body.items;
+    source = 'items';
+  } else if (body.matrix && typeof body.matrix === 'object') {
+    const size = matrixSize(body.matrix);
+    if (size > maxEntries) {
+      throw new Error(`Batch must not exceed ${maxEntries} entries (got ${size})`);
+    }
+    entries = expandMatrix(body.matrix);
+    source = 'matrix';
+  } else {
+    throw new Error('Batch request must include csv, items or matrix');
+  }
+  return {
+    source,
+    entries: entries.map((entry) => ({ ...defaults, ...(entry && typeof entry === 'object' ? entry : {}) })),
+  };
+}
+
+/**
+ * 子レコードの状態からバッチ全体の進捗を集計する。
+ */
+function summarizeBatch(batch, videos) {
+  const counts = {};
+  let progressTotal = 0;
+  let costEstimateUsd = 0;
+  let present = 0;
+  for (const videoId of batch.videoIds) {
+    const video = videos.get(videoId);
+    if (!video) {
+      continue;
+    }
+    present += 1;
+    counts[video.status] = (counts[video.status] || 0) + 1;
+    const progress = typeof video.progress === 'number' ? video.progress : 0;
+    // プロバイダの progress は 0〜100
+    progressTotal += video.status === 'completed' ? 100 : Math.min(progress, 100);
+    if (typeof video.costEstimateUsd === 'number') {
+      costEstimateUsd += video.costEstimateUsd;
+    }
+  }
+  const finished = (counts.completed || 0) + (counts.failed || 0) + (counts.stalled || 0) + (counts.cancelled || 0);
+  return {
+    ...batch,
+    total: present,
+    counts,
+    progress: present > 0 ? Math.round(progressTotal / present) : 0,
+    done: present > 0 && finished === present,
+    costEstimateUsd: Math.round(costEstimateUsd * 100) / 100,
+  };
+}
+
+module.exports = { parseCsv, expandBatchRequest, summarizeBatch };
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * 完了した動画 MP4（とサムネイル等のバリアント）をローカルディスクへ 1 度だけ保存し、
+ * Range / ETag / If-Range に対応して配信するキャッシュ。
+ * ファイル名は動画本体が `<id>.mp4`、それ以外が `<id>.<variant>`。
+ */
+function createContentCache(cacheDir) {
+  const downloads = new Map();
+  // 進行中のダウンロードの状態（remove で中断させるため、元のストリームを持っておく）
+  const activeDownloads = new Map();
+
+  function filePathFor(videoId, variant = 'video') {
+    // videoId は自前の UUID だが、念のためパス区切りを含む値は拒否する
+    if (!/^[A-Za-z0-9_-]+$/.test(videoId) || !/^[a-z]+$/.test(variant)) {
+      throw new Error(`Invalid cache key: ${videoId}/${variant}`);
+    }
+    const extension = variant === 'video' ? 'mp4' : variant;
+    return path.join(cacheDir, `${videoId}.${extension}`);
+  }
+
+  async function stat(videoId, variant = 'video') {
+    try {
+      const stats = await fs.promises.stat(filePathFor(videoId, variant));
+      return stats.isFile() ? stats : null;
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * source は Readable ストリームを返す非同期関数。
+   * 同じ動画のダウンロードが進行中なら、その Promise を共有する。
+   */
+  function store(videoId, source, variant = 'video') {
+    const key = `${videoId}:${variant}`;
+    if (downloads.has(key)) {
+      return downloads.get(key);
+    }
+    const finalPath = filePathFor(videoId, variant);
+    const partPath = `${finalPath}.part`;
+    const active = { videoId, readable: null, discarded: false };
+    const task = (async () => {
+      await fs.promises.mkdir(cacheDir, { recursive: true });
+      try {
+        active.readable = await source();
+        if (active.discarded) {
+          active.readable.destroy();
+        }
+        await pipeline(active.readable, fs.createWriteStream(partPath));
+        // 途中で remove された動画のファイルは置かない（持ち主のいないファイルが残るため）
+        if (active.discarded) {
+          throw new Error(`Cache entry ${key} was removed during download`);
+        }
+        await fs.promises.rename(partPath, finalPath);
+      } catch (err) {
+        await fs.promises.rm(partPath, { force: true });
+        throw err;
+      }
+      return fs.promises.stat(finalPath);
+    })().finally(() => {
+      downloads.delete(key);
+      activeDownloads.delete(key);
+    });
+    activeDownloads.set(key, active);
+    downloads.set(key, task);
+    return task;
+  }
+
+  // すべてのバリアントをまとめて消す。ダウンロード中のものは中断させ、終わるのを待ってから消す
+  async function remove(videoId) {
+    filePathFor(videoId);
+    const pending = [];
+    for (const [key, active] of activeDownloads) {
+      if (active.videoId === videoId) {
+        active.discarded = true;
+        if (active.readable) {
+          active.readable.destroy();
+        }
+        pending.push(downloads.get(key).catch(() => {}));
+      }
+    }
+    await Promise.all(pending);
+    const prefix = `${videoId}.`;
+    let entries;
+    try {
+      entries = await fs.promises.readdir(cacheDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return;
+      }
+      throw err;
+    }
+    await Promise.all(
+      entries
+        .filter((name) => name.startsWith(prefix))
+        .map((name) => fs.promises.rm(path.join(cacheDir, name), { force: true })),
+    );
+  }
+
+  /**
+   * キャッシュ済みなら配信して true を返す。未キャッシュなら何もせず false。
+   */
+  async function serve(req, res, videoId, { variant = 'video', contentType = 'video/mp4', headers = {} } = {}) {
+    const stats = await stat(videoId, variant);
+    if (!stats) {
+      return false;
+    }
+
+    const size = stats.size;
+    const etag = `"${size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const lastModified = stats.mtime.toUTCString();
+    const baseHeaders = {
+      'Cache-Control': 'private, max-age=0, must-revalidate',
+      ...headers,
+      'Content-Type': contentType,
+      'Accept-Ranges': 'bytes',
+      'ETag': etag,
+      'Last-Modified': lastModified,
+    };
+
+    if (matchesEtag(req.headers['if-none-match'], etag)) {
+      res.writeHead(304, baseHeaders);
+      res.end();
+      return true;
+    }
+
+    let range = null;
+    const rangeHeader = req.headers['range'];
+    if (rangeHeader && isIfRangeFresh(req.headers['if-range'], etag, stats.mtime)) {
+      range = parseRange(rangeHeader, size);
+      if (range === 'unsatisfiable') {
+        res.writeHead(416, { ...baseHeaders, 'Content-Range': `bytes */${size}` });
+        res.end();
+        return true;
+      }
+    }
+
+    const isHead = req.method === 'HEAD';
+    if (range) {
+      res.writeHead(206, {
+        ...baseHeaders,
+        'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+        'Content-Length': String(range.end - range.start + 1),
+      });
+    } else {
+      res.writeHead(200, { ...baseHeaders, 'Content-Length': String(size) });
+    }
+    if (isHead || size === 0) {
+      res.end();
+      return true;
+    }
+
+    const stream = fs.createReadStream(filePathFor(videoId, variant), range || {});
+    stream.on('error', (err) => res.destroy(err));
+    stream.pipe(res);
+    return true;
+  }
+
+  return {
+    stat,
+    store,
+    remove,
+    serve,
+    open: (videoId, variant = 'video') => fs.createReadStream(filePathFor(videoId, variant)),
+  };
+}
+
+function matchesEtag(header, etag) {
+  if (!header) {
+    return false;
+  }
+  if (header.trim() === '*') {
+    return true;
+  }
+  return header
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+function isIfRangeFresh(header, etag, mtime) {
+  if (!header) {
+    return true;
+  }
+  const value = header.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    // If-Range は強い比較のみ許可される
+    return value === etag;
+  }
+  const since = Date.parse(value);
+  if (Number.isNaN(since)) {
+    return false;
+  }
+  return Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * 単一レンジのみ対応する。複数レンジや解釈できない値は null（全体を返す）。
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+  const [, startText, endText] = match;
+  if (!startText && !endText) {
+    return null;
+  }
+  let start;
+  let end;
+  if (!startText) {
+    const suffixLength = Number(endText);
+    if (suffixLength === 0) {
+      return 'unsatisfiable';
+    }
+    start = Math.max(size - suffixLength, 0);
+    end = size - 1;
+  } else {
+    start = Number(startText);
+    end = endText ? Math.min(Number(endText), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) {
+    return 'unsatisfiable';
+  }
+  return { start, end };
+}
+
+module.exports = { createContentCache, parseRange, matchesEtag };
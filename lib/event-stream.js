@@ -0,0 +1,77 @@
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+/**
+ * Server-Sent Events のブロードキャスタ。
+ * 直近のイベントをリングバッファに保持し、Last-Event-ID からの再送に使う。
+ * ID は `<起動エポック>-<連番>` 形式で、再起動前の ID を受け取った場合は
+ * 再送できないため `resync` を送ってクライアントに一覧の取り直しを促す。
+ */
+function createEventStream({ bufferSize = 500 } = {}) {
+  const epoch = Date.now().toString(36);
+  const clients = new Set();
+  const buffer = [];
+  let sequence = 0;
+
+  function format(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+  }
+
+  function publish(type, data) {
+    sequence += 1;
+    const event = { id: `${epoch}-${sequence}`, type, data };
+    buffer.push(event);
+    if (buffer.length > bufferSize) {
+      buffer.shift();
+    }
+    const chunk = format(event);
+    for (const client of clients) {
+      client.write(chunk);
+    }
+    return event;
+  }
+
+  function replay(res, lastEventId) {
+    const [lastEpoch, lastSeqText] = String(lastEventId).split('-');
+    const lastSeq = Number(lastSeqText);
+    const oldest = buffer.length > 0 ? Number(buffer[0].id.split('-')[1]) : sequence + 1;
+    if (lastEpoch !== epoch || !Number.isInteger(lastSeq) || lastSeq < oldest - 1) {
+      res.write(format({ id: `${epoch}-${sequence}`, type: 'resync', data: {} }));
+      return;
+    }
+    for (const event of buffer) {
+      if (Number(event.id.split('-')[1]) > lastSeq) {
+        res.write(format(event));
+      }
+    }
+  }
+
+  function handle(req, res, extraHeaders = {}) {
+    res.writeHead(200, {
+      ...extraHeaders,
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    const lastEventId = req.headers['last-event-id'] || requestUrl.searchParams.get('lastEventId');
+    if (lastEventId) {
+      replay(res, lastEventId);
+    }
+
+    clients.add(res);
+    const keepalive = setInterval(() => {
+      res.write(': keepalive\n\n');
+    }, KEEPALIVE_INTERVAL_MS);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      clients.delete(res);
+    });
+  }
+
+  return { publish, handle, clientCount: () => clients.size };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,174 @@
+const { fieldError } = require('./validation');
+const { ANNOTATION_FIELDS, sanitizeAnnotationPatch } = require('./annotations');
+
+const ARCHIVE_FORMAT = 'sora-studio-library';
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+// 取り込み先で意味を持たない一時的なフィールド
+const TRANSIENT_FIELDS = ['queuePosition', 'referenceFile'];
+
+function mediaEntryName(videoId, variant) {
+  return `media/${videoId}.${variant === 'video' ? 'mp4' : variant}`;
+}
+
+/**
+ * エクスポートの manifest.json を作る。
+ * media はアーカイブに同梱したキャッシュファイルの `{ videoId, variant, path, size }`。
+ */
+function buildManifest({ records, batches, media }) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    records,
+    batches,
+    media,
+  };
+}
+
+// 形式が違う・壊れている場合は Error を投げる
+function parseManifest(buffer) {
+  let manifest;
+  try {
+    manifest = JSON.parse(buffer.toString('utf8'));
+  } catch (err) {
+    throw new Error(`${MANIFEST_NAME} is not valid JSON: ${err.message}`);
+  }
+  if (!manifest || manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`${MANIFEST_NAME} is not a ${ARCHIVE_FORMAT} manifest`);
+  }
+  if (manifest.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version: ${manifest.version}`);
+  }
+  if (!Array.isArray(manifest.records)) {
+    throw new Error(`${MANIFEST_NAME} has no records`);
+  }
+  return {
+    records: manifest.records,
+    batches: Array.isArray(manifest.batches) ? manifest.batches : [],
+    media: Array.isArray(manifest.media) ? manifest.media : [],
+  };
+}
+
+/**
+ * 取り込むレコードの型を確かめ、利用者が付ける項目（title / tags など）は PATCH と同じ規則で正規化する。
+ * 一覧・検索・集計が前提にしている型と違う値が 1 つでもあれば errors を返し、そのレコードは取り込まない。
+ */
+function sanitizeImportedRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { record: null, errors: [fieldError('record', 'invalid_format', 'record must be a JSON object')] };
+  }
+  const errors = [];
+  const requireString = (field, pattern) => {
+    if (typeof record[field] !== 'string' || (pattern && !pattern.test(record[field]))) {
+      errors.push(fieldError(field, 'invalid_format', `${field} must be a valid string`));
+    }
+  };
+  requireString('id', ID_PATTERN);
+  requireString('prompt');
+  requireString('status');
+  requireString('model');
+  requireString('size');
+  requireString('seconds');
+  if (typeof record.createdAt !== 'string' || Number.isNaN(Date.parse(record.createdAt))) {
+    errors.push(fieldError('createdAt', 'invalid_format', 'createdAt must be an ISO 8601 date'));
+  }
+  if (record.costEstimateUsd != null && !Number.isFinite(record.costEstimateUsd)) {
+    errors.push(fieldError('costEstimateUsd', 'invalid_format', 'costEstimateUsd must be a number or null'));
+  }
+  // 提供元 API の URL に埋め込むので、別のパスを指せる値は受け付けない
+  if (record.providerVideoId != null) {
+    requireString('providerVideoId', ID_PATTERN);
+  }
+
+  const sanitized = { ...record };
+  const annotations = {};
+  for (const field of ANNOTATION_FIELDS) {
+    if (field in record) {
+      annotations[field] = record[field];
+      delete sanitized[field];
+    }
+  }
+  if (Object.keys(annotations).length > 0) {
+    const { changes, errors: annotationErrors } = sanitizeAnnotationPatch(annotations);
+    errors.push(...annotationErrors);
+    // annotateVideo と同じく、空にした項目はレコードに持たせない
+    for (const [field, value] of Object.entries(changes)) {
+      if (!(value === null || value === false || (Array.isArray(value) && value.length === 0))) {
+        sanitized[field] = value;
+      }
+    }
+  }
+  for (const field of TRANSIENT_FIELDS) {
+    delete sanitized[field];
+  }
+  return { record: errors.length > 0 ? null : sanitized, errors };
+}
+
+/**
+ * 取り込むレコードを決める。既存の videos（Map）と providerVideoId が重複するもの、
+ * 同じ id が既にあるもの、送信前（pending_local）で参照メディアを持ち運べないものは
+ * conflicts に理由付きで入れて取り込まない。アーカイブ内の重複は先に出てきた方を採る。
+ */
+function planImport(manifest, videos) {
+  const byProviderId = new Map();
+  for (const record of videos.values()) {
+    if (record.providerVideoId) {
+      byProviderId.set(record.providerVideoId, record.id);
+    }
+  }
+  const records = [];
+  const conflicts = [];
+  const importedIds = new Set();
+  manifest.records.forEach((record, index) => {
+    const { record: imported, errors } = sanitizeImportedRecord(record);
+    if (!imported) {
+      conflicts.push({ index, id: record && record.id, reason: 'invalid_record', errors });
+      return;
+    }
+    const conflict = { index, id: record.id, providerVideoId: record.providerVideoId || null };
+    if (record.status === 'pending_local') {
+      conflicts.push({ ...conflict, reason: 'not_submitted' });
+      return;
+    }
+    if (record.providerVideoId && byProviderId.has(record.providerVideoId)) {
+      conflicts.push({ ...conflict, reason: 'duplicate', existingId: byProviderId.get(record.providerVideoId) });
+      return;
+    }
+    if (videos.has(record.id) || importedIds.has(record.id)) {
+      conflicts.push({ ...conflict, reason: 'id_conflict', existingId: record.id });
+      return;
+    }
+    records.push(imported);
+    importedIds.add(record.id);
+    if (record.providerVideoId) {
+      byProviderId.set(record.providerVideoId, record.id);
+    }
+  });
+
+  // バッチは取り込んだ子レコードだけを指すようにする
+  const batches = manifest.batches
+    .filter((batch) => batch && typeof batch.id === 'string' && ID_PATTERN.test(batch.id))
+    .map((batch) => ({
+      ...batch,
+      videoIds: (Array.isArray(batch.videoIds) ? batch.videoIds : []).filter((id) => importedIds.has(id)),
+    }))
+    .filter((batch) => batch.videoIds.length > 0);
+
+  const media = manifest.media.filter((entry) => (
+    entry
+    && importedIds.has(entry.videoId)
+    && entry.path === mediaEntryName(entry.videoId, entry.variant)
+  ));
+
+  return { records, batches, media, conflicts };
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  mediaEntryName,
+  buildManifest,
+  parseManifest,
+  planImport,
+};
@@ -0,0 +1,54 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * リクエスト単位のコンテキスト（requestId と actor）。
+ * ハンドラを requestContext.run() の中で動かすと、そこから呼ばれたログ・監査ログに自動で付く。
+ */
+const requestContext = new AsyncLocalStorage();
+
+function serializeError(err) {
+  return {
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.statusCode ? { statusCode: err.statusCode } : {}),
+    stack: err.stack,
+  };
+}
+
+/**
+ * 1 行 1 JSON の構造化ログ。`{ time, level, msg, requestId?, ...fields }` を出力する。
+ * フィールドに Error を渡した場合は message / code / stack に展開する。
+ */
+function createLogger({ level = 'info', stream = process.stdout, fields = {} } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(entryLevel, msg, extra = {}) {
+    if (LEVELS[entryLevel] < threshold) {
+      return;
+    }
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...fields,
+      ...(context ? { requestId: context.requestId } : {}),
+    };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    child: (moreFields) => createLogger({ level, stream, fields: { ...fields, ...moreFields } }),
+  };
+}
+
+module.exports = { createLogger, requestContext };
@@ -0,0 +1,156 @@
+const fs = require('fs');
+
+const HEADER_BYTES = 32;
+// JPEG の SOF マーカー（DHT / JPG / DAC を除く C0〜CF）
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+const MAX_JPEG_SEGMENTS = 1000;
+const MAX_MP4_BOXES = 10000;
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+function probePng(header) {
+  if (header.length < 24 || header.toString('ascii', 12, 16) !== 'IHDR') {
+    return { width: null, height: null };
+  }
+  return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+function probeWebp(header) {
+  const chunk = header.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && header.length >= 30) {
+    return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && header.length >= 25) {
+    const bits = header.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && header.length >= 30) {
+    return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+  }
+  return { width: null, height: null };
+}
+
+// マーカーを順にたどり、最初のフレームヘッダ（SOF）から縦横を読む
+async function probeJpeg(handle, fileSize) {
+  let position = 2;
+  for (let i = 0; i < MAX_JPEG_SEGMENTS && position + 4 <= fileSize; i += 1) {
+    const segment = await readAt(handle, position, 9);
+    if (segment[0] !== 0xff) {
+      break;
+    }
+    const marker = segment[1];
+    if (marker === 0xff) {
+      // フィルバイト
+      position += 1;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      position += 2;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return segment.length >= 9
+        ? { width: segment.readUInt16BE(7), height: segment.readUInt16BE(5) }
+        : { width: null, height: null };
+    }
+    if (marker === 0xd9 || marker === 0xda) {
+      break;
+    }
+    position += 2 + segment.readUInt16BE(2);
+  }
+  return { width: null, height: null };
+}
+
+// [start, end) の範囲にある MP4 ボックスの { type, start, contentStart, end } を返す
+async function readBoxes(handle, start, end) {
+  const boxes = [];
+  let position = start;
+  while (position + 8 <= end && boxes.length < MAX_MP4_BOXES) {
+    const header = await readAt(handle, position, 16);
+    if (header.length < 8) {
+      break;
+    }
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let contentStart = position + 8;
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+      contentStart = position + 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < 8) {
+      break;
+    }
+    boxes.push({ type, start: position, contentStart, end: Math.min(position + size, end) });
+    position += size;
+  }
+  return boxes;
+}
+
+/**
+ * moov → trak → tkhd を順にたどり、幅と高さを持つ最初のトラック（映像）の表示サイズを返す。
+ * 回転行列が 90 / 270 度なら縦横を入れ替える（スマートフォンの縦動画など）。
+ */
+async function probeMp4(handle, fileSize) {
+  const moov = (await readBoxes(handle, 0, fileSize)).find((box) => box.type === 'moov');
+  if (!moov) {
+    return { width: null, height: null };
+  }
+  const tracks = (await readBoxes(handle, moov.contentStart, moov.end)).filter((box) => box.type === 'trak');
+  for (const trak of tracks) {
+    const tkhd = (await readBoxes(handle, trak.contentStart, trak.end)).find((box) => box.type === 'tkhd');
+    if (!tkhd) {
+      continue;
+    }
+    const content = await readAt(handle, tkhd.contentStart, Math.min(tkhd.end - tkhd.contentStart, 96));
+    const offset = content[0] === 1 ? 52 : 40;
+    if (content.length < offset + 44) {
+      continue;
+    }
+    const width = Math.round(content.readUInt32BE(offset + 36) / 65536);
+    const height = Math.round(content.readUInt32BE(offset + 40) / 65536);
+    if (width === 0 || height === 0) {
+      continue;
+    }
+    const [a, b, , c, d] = [0, 4, 8, 12, 16].map((index) => content.readInt32BE(offset + index));
+    const rotated = a === 0 && d === 0 && b !== 0 && c !== 0;
+    return rotated ? { width: height, height: width } : { width, height };
+  }
+  return { width: null, height: null };
+}
+
+/**
+ * ファイル先頭のマジックバイトから種類を判定し、ヘッダから縦横を読む。
+ * 対応は PNG / JPEG / WebP / MP4（ISO BMFF）で、それ以外は mimeType: null。
+ * 種類は分かっても縦横が読めない場合は width / height が null になる。
+ */
+async function probeMediaFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const header = await readAt(handle, 0, HEADER_BYTES);
+    if (header.length >= 8 && header.readUInt32BE(0) === 0x89504e47 && header.readUInt32BE(4) === 0x0d0a1a0a) {
+      return { mimeType: 'image/png', ...probePng(header) };
+    }
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+      return { mimeType: 'image/jpeg', ...(await probeJpeg(handle, size)) };
+    }
+    if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+      return { mimeType: 'image/webp', ...probeWebp(header) };
+    }
+    if (header.length >= 12 && header.toString('latin1', 4, 8) === 'ftyp') {
+      const brand = header.toString('latin1', 8, 12);
+      return { mimeType: brand === 'qt  ' ? 'video/quicktime' : 'video/mp4', ...(await probeMp4(handle, size)) };
+    }
+    return { mimeType: null, width: null, height: null };
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { probeMediaFile };
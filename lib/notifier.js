@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { signWebhook } = require('./webhooks');
+
+const RETRYABLE_STATUSES = [408, 409, 425, 429];
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * ジョブの完了・失敗を外部の URL へ JSON で POST する送信 Webhook。
+ * 本文は `{ id, type, created_at, data }` で、secret があれば受信側と同じ Standard Webhooks 形式
+ * （webhook-id / webhook-timestamp / webhook-signature）で署名する。
+ * 通信エラー・タイムアウト・408/409/425/429/5xx は指数バックオフで maxAttempts 回まで送り直し、
+ * それ以外の 4xx は受信側が受け取れないものとして諦める。
+ * 結果は宛先ごとに onResult({ url, eventId, type, ok, attempts, status?, error? }) で知らせる。
+ */
+function createWebhookNotifier({
+  urls = [],
+  secret = '',
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  timeoutMs = 10000,
+  fetchImpl = fetch,
+  onResult = () => {},
+} = {}) {
+  async function deliver(url, event, body) {
+    let lastStatus = null;
+    let lastError = null;
+    let attempts = 0;
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      attempts = attempt;
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'sora-studio-webhook/1',
+        'webhook-id': event.id,
+        'webhook-timestamp': String(timestamp),
+        ...(secret ? { 'webhook-signature': signWebhook(secret, { id: event.id, timestamp, body }) } : {}),
+      };
+      try {
+        const response = await fetchImpl(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        await response.body?.cancel();
+        lastStatus = response.status;
+        lastError = null;
+        if (response.ok) {
+          onResult({ url, eventId: event.id, type: event.type, ok: true, attempts: attempt, status: response.status });
+          return;
+        }
+        if (response.status < 500 && !RETRYABLE_STATUSES.includes(response.status)) {
+          break;
+        }
+      } catch (err) {
+        lastStatus = null;
+        lastError = err;
+      }
+      if (attempt < maxAttempts) {
+        await delay(baseDelayMs * 4 ** (attempt - 1));
+      }
+    }
+    onResult({
+      url,
+      eventId: event.id,
+      type: event.type,
+      ok: false,
+      attempts,
+      ...(lastStatus ? { status: lastStatus } : {}),
+      ...(lastError ? { error: lastError.message } : {}),
+    });
+  }
+
+  // 送信は裏で進め、呼び出し元（ポーリング）を待たせない
+  function notify(type, data) {
+    if (urls.length === 0) {
+      return null;
+    }
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      created_at: Math.floor(Date.now() / 1000),
+      data,
+    };
+    const body = JSON.stringify(event);
+    for (const url of urls) {
+      deliver(url, event, body);
+    }
+    return event;
+  }
+
+  return { enabled: urls.length > 0, notify };
+}
+
+module.exports = { createWebhookNotifier };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+
+/**
+ * モデル × 解像度ごとの 1 秒あたり料金（USD）。
+ * 表に無い解像度は、そのモデルの default（高い方の料金）で見積もる。
+ * PRICING_FILE で同じ形の JSON を渡すと差し替えられる。
+ */
+const DEFAULT_PRICING = {
+  'sora-2': {
+    default: 0.1,
+    sizes: {
+      '720x1280': 0.1,
+      '1280x720': 0.1,
+    },
+  },
+  'sora-2-pro': {
+    default: 0.5,
+    sizes: {
+      '720x1280': 0.3,
+      '1280x720': 0.3,
+      '1024x1792': 0.5,
+      '1792x1024': 0.5,
+    },
+  },
+};
+
+function loadPricing(filePath) {
+  if (!filePath) {
+    return DEFAULT_PRICING;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function estimateCost({ model, size, seconds }, pricing = DEFAULT_PRICING) {
+  const modelPricing = pricing[model];
+  const secondsNumber = Number(seconds);
+  if (!modelPricing || !Number.isFinite(secondsNumber)) {
+    return null;
+  }
+  const usdPerSecond = (modelPricing.sizes && modelPricing.sizes[size]) ?? modelPricing.default;
+  if (typeof usdPerSecond !== 'number') {
+    return null;
+  }
+  return {
+    usd: roundUsd(usdPerSecond * secondsNumber),
+    usdPerSecond,
+  };
+}
+
+/**
+ * 当日・当月（サーバのローカル時刻）に作成されたレコードの見積額を合計する。
+ * 失敗したジョブは課金されないため集計から除く。
+ */
+function summarizeSpend(records, now = new Date()) {
+  let daily = 0;
+  let monthly = 0;
+  for (const record of records) {
+    if (record.status === 'failed' || typeof record.costEstimateUsd !== 'number') {
+      continue;
+    }
+    const createdAt = new Date(record.createdAt);
+    if (createdAt.getFullYear() !== now.getFullYear() || createdAt.getMonth() !== now.getMonth()) {
+      continue;
+    }
+    monthly += record.costEstimateUsd;
+    if (createdAt.getDate() === now.getDate()) {
+      daily += record.costEstimateUsd;
+    }
+  }
+  return { daily: roundUsd(daily), monthly: roundUsd(monthly) };
+}
+
+function describeBudget(spend, limits) {
+  const describe = (limit, spent) => ({
+    limit: limit > 0 ? limit : null,
+    spent,
+    remaining: limit > 0 ? roundUsd(Math.max(limit - spent, 0)) : null,
+  });
+  return {
+    daily: describe(limits.daily, spend.daily),
+    monthly: describe(limits.monthly, spend.monthly),
+  };
+}
+
+/**
+ * 追加の見積額を足すと予算を超える期間を返す。超えなければ null。
+ */
+function findExceededBudget(additionalUsd, spend, limits) {
+  for (const period of ['daily', 'monthly']) {
+    const limit = limits[period];
+    if (limit > 0 && roundUsd(spend[period] + additionalUsd) > limit) {
+      return { period, limit, spent: spend[period] };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PRICING,
+  loadPricing,
+  estimateCost,
+  summarizeSpend,
+  describeBudget,
+  findExceededBudget,
+};
@@ -0,0 +1,121 @@
+/**
+ * プロバイダ呼び出しの失敗を表す型付きエラー。
+ * code はフロントが利用者向けの文言に変換するための安定した識別子で、
+ * message は運用者向けの英語の説明、detail はプロバイダが返した元のメッセージ。
+ *
+ *   rate_limited / quota_exceeded / provider_unavailable / timeout / network_error /
+ *   circuit_open / invalid_request / content_policy / provider_auth_failed /
+ *   not_found / not_configured / provider_error
+ */
+const DEFAULT_MESSAGES = {
+  rate_limited: 'Provider rate limit reached',
+  quota_exceeded: 'Provider quota exhausted',
+  provider_unavailable: 'Provider is temporarily unavailable',
+  timeout: 'Provider request timed out',
+  network_error: 'Could not reach the provider',
+  circuit_open: 'Provider calls are paused after repeated failures',
+  invalid_request: 'Provider rejected the request',
+  content_policy: 'Provider rejected the request under its content policy',
+  provider_auth_failed: 'Provider rejected the API credentials',
+  not_found: 'Provider resource not found',
+  not_configured: 'Provider is not configured',
+  provider_error: 'Provider request failed',
+};
+
+// 時間を置けば通る見込みのある失敗（送信待ちのジョブは失敗にせず待たせる）
+const TRANSIENT_CODES = ['circuit_open', 'rate_limited', 'provider_unavailable', 'network_error', 'timeout'];
+
+function isTransientError(err) {
+  return Boolean(err) && TRANSIENT_CODES.includes(err.code);
+}
+
+function providerError(code, message = DEFAULT_MESSAGES[code], { status, retryAfterMs, detail } = {}) {
+  const err = new Error(message || DEFAULT_MESSAGES.provider_error);
+  err.code = code;
+  if (status) {
+    err.status = status;
+  }
+  if (retryAfterMs) {
+    err.retryAfterMs = retryAfterMs;
+  }
+  if (detail) {
+    err.detail = detail;
+  }
+  return err;
+}
+
+/**
+ * Retry-After ヘッダ（秒数または HTTP 日付）をミリ秒に変換する。解釈できなければ null。
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(value.trim())) {
+    return Math.round(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+const CONTENT_POLICY_PATTERN = /moderation|content_policy|safety/i;
+
+function classifyStatus(status, upstream = {}) {
+  const upstreamCode = String(upstream.code || upstream.type || '');
+  if (status === 429) {
+    return upstreamCode === 'insufficient_quota' ? 'quota_exceeded' : 'rate_limited';
+  }
+  if (status === 401 || status === 403) {
+    return 'provider_auth_failed';
+  }
+  if (status === 404) {
+    return 'not_found';
+  }
+  if (CONTENT_POLICY_PATTERN.test(upstreamCode)) {
+    return 'content_policy';
+  }
+  if (status === 400 || status === 409 || status === 422) {
+    return 'invalid_request';
+  }
+  if (status >= 500) {
+    return 'provider_unavailable';
+  }
+  return 'provider_error';
+}
+
+/**
+ * 失敗した HTTP レスポンスを型付きエラーに変換する。
+ * OpenAI 形式の `{ error: { message, type, code } }` を読み、無ければ本文をそのまま detail にする。
+ */
+async function errorFromResponse(response, label = 'Provider') {
+  const text = await response.text().catch(() => '');
+  let upstream = {};
+  try {
+    upstream = JSON.parse(text).error || {};
+  } catch (err) {
+    upstream = {};
+  }
+  const code = classifyStatus(response.status, upstream);
+  const detail = upstream.message || text.slice(0, 500) || undefined;
+  return providerError(code, `${label} API error (${response.status}): ${DEFAULT_MESSAGES[code]}`, {
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+    detail,
+  });
+}
+
+/**
+ * 生成ジョブ自体が failed になったときの video.error を、保存用のエラーコードにまとめる。
+ */
+function classifyGenerationFailure(error = {}) {
+  const upstreamCode = String(error.code || error.type || '');
+  return CONTENT_POLICY_PATTERN.test(upstreamCode) ? 'content_policy' : 'generation_failed';
+}
+
+module.exports = {
+  providerError,
+  isTransientError,
+  parseRetryAfter,
+  errorFromResponse,
+  classifyGenerationFailure,
+};
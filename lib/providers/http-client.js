@@ -0,0 +1,149 @@
+const { providerError, parseRetryAfter } = require('./errors');
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms).unref();
+  });
+}
+
+/**
+ * プロバイダ API 向けの fetch ラッパー。
+ *   - timeoutMs: レスポンスヘッダが届くまでの上限（本文のストリーミングは打ち切らない）
+ *   - 失敗時の再試行: ネットワークエラー・タイムアウト・429・5xx を指数バックオフ + ジッタで再試行する。
+ *     Retry-After があればそれに従い、maxDelayMs より長ければ待たずに呼び出し元へ返す。
+ *     POST は二重に生成しないよう、リクエストが受理されていないと分かる 429 のときだけ再試行する。
+ *   - サーキットブレーカー: 一時的な失敗が failureThreshold 回続くと open になり、
+ *     cooldownMs の間は呼び出さずに circuit_open で即座に失敗する。経過後は 1 件だけ試し（half_open）、
+ *     成功すれば closed に戻し、失敗すれば再び open にする。
+ *
+ * 再試行し尽くした失敗レスポンスはそのまま返すので、本文の解釈は呼び出し側（errorFromResponse）で行う。
+ */
+function createProviderHttpClient({
+  timeoutMs = 30000,
+  maxRetries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 30000,
+  failureThreshold = 5,
+  cooldownMs = 30000,
+  fetchImpl = (...args) => fetch(...args),
+  onCircuitChange = () => {},
+} = {}) {
+  const circuit = { state: 'closed', failures: 0, openedAt: null, retryAt: null, trialInFlight: false };
+
+  function setCircuitState(state) {
+    if (circuit.state === state) {
+      return;
+    }
+    circuit.state = state;
+    onCircuitChange(state, getState());
+  }
+
+  function acquireCircuit() {
+    const now = Date.now();
+    if (circuit.state === 'open') {
+      if (now < circuit.retryAt) {
+        throw providerError('circuit_open', undefined, { retryAfterMs: circuit.retryAt - now });
+      }
+      setCircuitState('half_open');
+    }
+    if (circuit.state === 'half_open') {
+      if (circuit.trialInFlight) {
+        throw providerError('circuit_open', undefined, { retryAfterMs: baseDelayMs });
+      }
+      circuit.trialInFlight = true;
+    }
+  }
+
+  function recordSuccess() {
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+    circuit.openedAt = null;
+    circuit.retryAt = null;
+    setCircuitState('closed');
+  }
+
+  function recordFailure(retryAfterMs) {
+    circuit.failures += 1;
+    circuit.trialInFlight = false;
+    if (circuit.state === 'half_open' || circuit.failures >= failureThreshold) {
+      const now = Date.now();
+      circuit.openedAt = now;
+      circuit.retryAt = now + Math.max(cooldownMs, retryAfterMs || 0);
+      setCircuitState('open');
+    }
+  }
+
+  function backoffDelay(attempt) {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  async function fetchWithTimeout(url, init) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetchImpl(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        throw providerError('timeout', `Provider request timed out after ${timeoutMs}ms`);
+      }
+      throw providerError('network_error', `Could not reach the provider: ${err.cause?.code || err.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function request(url, init = {}) {
+    const method = (init.method || 'GET').toUpperCase();
+    const idempotent = IDEMPOTENT_METHODS.includes(method);
+
+    for (let attempt = 0; ; attempt += 1) {
+      acquireCircuit();
+      let response;
+      try {
+        response = await fetchWithTimeout(url, init);
+      } catch (err) {
+        recordFailure();
+        if (idempotent && attempt < maxRetries && circuit.state !== 'open') {
+          await sleep(backoffDelay(attempt));
+          continue;
+        }
+        throw err;
+      }
+
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        // 4xx はプロバイダ自体は応答しているので、ブレーカー上は成功として扱う
+        recordSuccess();
+        return response;
+      }
+
+      const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+      recordFailure(retryAfterMs);
+      const canRetry = (idempotent || response.status === 429)
+        && attempt < maxRetries
+        && circuit.state !== 'open'
+        && (retryAfterMs === null || retryAfterMs <= maxDelayMs);
+      if (!canRetry) {
+        return response;
+      }
+      await response.body?.cancel().catch(() => {});
+      await sleep(retryAfterMs ?? backoffDelay(attempt));
+    }
+  }
+
+  function getState() {
+    return {
+      state: circuit.state,
+      consecutiveFailures: circuit.failures,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+    };
+  }
+
+  return { request, state: getState };
+}
+
+module.exports = { createProviderHttpClient };
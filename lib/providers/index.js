@@ -0,0 +1,47 @@
+const { createOpenAIProvider, DEFAULT_BASE_URL } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { createProviderHttpClient } = require('./http-client');
+
+function numberFromEnv(value) {
+  return value ? Number(value) : undefined;
+}
+
+/**
+ * 動画生成プロバイダの共通インターフェース:
+ *   name: string
+ *   isConfigured(): boolean
+ *   createVideo(params): Promise<object>            // Videos API の video オブジェクト相当
+ *   getVideo(providerVideoId): Promise<object>
+ *   remixVideo(providerVideoId, { prompt }): Promise<object>
+ *   deleteVideo(providerVideoId): Promise<object>
+ *   fetchContent(providerVideoId, { headers, variant }): Promise<Response>  // variant: video | thumbnail | spritesheet
+ *   health(): { state: 'closed' | 'open' | 'half_open', consecutiveFailures, openedAt, retryAt }
+ *
+ * 失敗は lib/providers/errors.js の型付きエラー（err.code）で投げる。
+ * onCircuitChange(state, health) はサーキットブレーカーの状態が変わるたびに呼ばれる。
+ */
+function createProvider(name, env = process.env, { onCircuitChange } = {}) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY || '',
+        baseUrl: env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+        http: createProviderHttpClient({
+          timeoutMs: numberFromEnv(env.PROVIDER_TIMEOUT_MS),
+          maxRetries: numberFromEnv(env.PROVIDER_MAX_RETRIES),
+          failureThreshold: numberFromEnv(env.CIRCUIT_FAILURE_THRESHOLD),
+          cooldownMs: numberFromEnv(env.CIRCUIT_COOLDOWN_MS),
+          onCircuitChange,
+        }),
+      });
+    case 'mock':
+      return createMockProvider({
+        renderMs: numberFromEnv(env.MOCK_RENDER_MS),
+        failureRate: numberFromEnv(env.MOCK_FAILURE_RATE),
+      });
+    default:
+      throw new Error(`Unknown VIDEO_PROVIDER: ${name}`);
+  }
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,70 @@
+const { paletteFromSeed } = require('./mock-mp4');
+
+const SPRITE_COLUMNS = 5;
+const SPRITE_ROWS = 2;
+
+function toHex(value) {
+  return Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, '0');
+}
+
+// モック MP4 と同じ YCbCr パレットを RGB に直して色味を揃える
+function paletteToRgb({ luma, cb, cr }, lumaOffset = 0) {
+  const y = luma + lumaOffset;
+  const r = y + 1.402 * (cr - 128);
+  const g = y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128);
+  const b = y + 1.772 * (cb - 128);
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+}
+
+function frameSvg(x, y, width, height, palette, index, label) {
+  const light = paletteToRgb(palette, 40 - (index % 4) * 10);
+  const dark = paletteToRgb(palette, -40 + (index % 4) * 10);
+  const fontSize = Math.max(10, Math.round(height / 8));
+  return [
+    `<g transform="translate(${x} ${y})">`,
+    `<rect width="${width}" height="${height}" fill="url(#g${index})"/>`,
+    `<linearGradient id="g${index}" x1="0" y1="0" x2="1" y2="1">`,
+    `<stop offset="0" stop-color="${light}"/><stop offset="1" stop-color="${dark}"/>`,
+    '</linearGradient>',
+    `<text x="${width / 2}" y="${height / 2}" font-family="sans-serif" font-size="${fontSize}" ` +
+      `fill="#ffffff" fill-opacity="0.8" text-anchor="middle" dominant-baseline="middle">${label}</text>`,
+    '</g>',
+  ].join('');
+}
+
+function svgDocument(width, height, body) {
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `viewBox="0 0 ${width} ${height}">${body}</svg>`,
+  );
+}
+
+/**
+ * モック用のサムネイル（1 枚）を SVG で返す。解像度は元サイズの 1/4。
+ */
+function generateMockThumbnail({ width = 1280, height = 720, seed = '' } = {}) {
+  const thumbWidth = Math.round(width / 4);
+  const thumbHeight = Math.round(height / 4);
+  const palette = paletteFromSeed(seed);
+  return svgDocument(thumbWidth, thumbHeight, frameSvg(0, 0, thumbWidth, thumbHeight, palette, 0, 'MOCK'));
+}
+
+/**
+ * モック用のスプライトシート（5 列 × 2 行、各コマは元サイズの 1/8）を SVG で返す。
+ */
+function generateMockSpritesheet({ width = 1280, height = 720, seconds = 4, seed = '' } = {}) {
+  const frameWidth = Math.round(width / 8);
+  const frameHeight = Math.round(height / 8);
+  const palette = paletteFromSeed(seed);
+  const frameCount = SPRITE_COLUMNS * SPRITE_ROWS;
+  const frames = [];
+  for (let index = 0; index < frameCount; index += 1) {
+    const column = index % SPRITE_COLUMNS;
+    const row = Math.floor(index / SPRITE_COLUMNS);
+    const time = ((Number(seconds) * index) / frameCount).toFixed(1);
+    frames.push(frameSvg(column * frameWidth, row * frameHeight, frameWidth, frameHeight, palette, index, `${time}s`));
+  }
+  return svgDocument(frameWidth * SPRITE_COLUMNS, frameHeight * SPRITE_ROWS, frames.join(''));
+}
+
+module.exports = { generateMockThumbnail, generateMockSpritesheet };
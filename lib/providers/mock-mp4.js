@@ -0,0 +1,318 @@
+/**
+ * モックプロバイダ用に、外部ツール無しで再生可能な小さな MP4 を組み立てる。
+ * 映像は H.264 Baseline で、毎秒 1 枚の IDR（I_PCM マクロブロックのみ）と
+ * 全マクロブロックをスキップする P フレームで構成する。
+ */
+
+const FPS = 10;
+const TIMESCALE = 1000;
+
+function createBitWriter() {
+  const bytes = [];
+  let current = 0;
+  let bitCount = 0;
+
+  function bit(value) {
+    current = (current << 1) | (value & 1);
+    bitCount += 1;
+    if (bitCount === 8) {
+      bytes.push(current);
+      current = 0;
+      bitCount = 0;
+    }
+  }
+
+  function u(bits, value) {
+    for (let i = bits - 1; i >= 0; i -= 1) {
+      bit((value >>> i) & 1);
+    }
+  }
+
+  function ue(value) {
+    const codeNum = value + 1;
+    const length = 32 - Math.clz32(codeNum);
+    u(length - 1, 0);
+    u(length, codeNum);
+  }
+
+  function se(value) {
+    ue(value <= 0 ? -2 * value : 2 * value - 1);
+  }
+
+  function alignZero() {
+    while (bitCount !== 0) {
+      bit(0);
+    }
+  }
+
+  function trailing() {
+    bit(1);
+    alignZero();
+  }
+
+  return { bit, u, ue, se, alignZero, trailing, toBuffer: () => Buffer.from(bytes) };
+}
+
+// NAL ヘッダの後ろに emulation prevention byte を挿入する
+function toNalUnit(header, rbsp) {
+  const out = [header];
+  let zeros = 0;
+  for (const byte of rbsp) {
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return Buffer.from(out);
+}
+
+function buildSps(mbWidth, mbHeight, cropRight, cropBottom) {
+  const w = createBitWriter();
+  w.u(8, 66); // Baseline
+  w.u(8, 0xc0); // constraint_set0/1
+  w.u(8, 30); // level 3.0
+  w.ue(0); // seq_parameter_set_id
+  w.ue(0); // log2_max_frame_num_minus4
+  w.ue(2); // pic_order_cnt_type
+  w.ue(1); // max_num_ref_frames
+  w.bit(0); // gaps_in_frame_num_value_allowed_flag
+  w.ue(mbWidth - 1);
+  w.ue(mbHeight - 1);
+  w.bit(1); // frame_mbs_only_flag
+  w.bit(1); // direct_8x8_inference_flag
+  const cropping = cropRight > 0 || cropBottom > 0;
+  w.bit(cropping ? 1 : 0);
+  if (cropping) {
+    w.ue(0);
+    w.ue(cropRight);
+    w.ue(0);
+    w.ue(cropBottom);
+  }
+  w.bit(0); // vui_parameters_present_flag
+  w.trailing();
+  return toNalUnit(0x67, w.toBuffer());
+}
+
+function buildPps() {
+  const w = createBitWriter();
+  w.ue(0); // pic_parameter_set_id
+  w.ue(0); // seq_parameter_set_id
+  w.bit(0); // entropy_coding_mode_flag (CAVLC)
+  w.bit(0); // bottom_field_pic_order_in_frame_present_flag
+  w.ue(0); // num_slice_groups_minus1
+  w.ue(0); // num_ref_idx_l0_default_active_minus1
+  w.ue(0); // num_ref_idx_l1_default_active_minus1
+  w.bit(0); // weighted_pred_flag
+  w.u(2, 0); // weighted_bipred_idc
+  w.se(0); // pic_init_qp_minus26
+  w.se(0); // pic_init_qs_minus26
+  w.se(0); // chroma_qp_index_offset
+  w.bit(1); // deblocking_filter_control_present_flag
+  w.bit(0); // constrained_intra_pred_flag
+  w.bit(0); // redundant_pic_cnt_present_flag
+  w.trailing();
+  return toNalUnit(0x68, w.toBuffer());
+}
+
+function clampSample(value) {
+  return Math.max(16, Math.min(235, Math.round(value)));
+}
+
+function buildIdrSlice(mbWidth, mbHeight, idrPicId, palette, shift) {
+  const w = createBitWriter();
+  w.ue(0); // first_mb_in_slice
+  w.ue(7); // slice_type: I
+  w.ue(0); // pic_parameter_set_id
+  w.u(4, 0); // frame_num
+  w.ue(idrPicId);
+  w.bit(0); // no_output_of_prior_pics_flag
+  w.bit(0); // long_term_reference_flag
+  w.se(0); // slice_qp_delta
+  w.ue(1); // disable_deblocking_filter_idc
+
+  for (let mbY = 0; mbY < mbHeight; mbY += 1) {
+    for (let mbX = 0; mbX < mbWidth; mbX += 1) {
+      w.ue(25); // mb_type: I_PCM
+      w.alignZero();
+      for (let y = 0; y < 16; y += 1) {
+        for (let x = 0; x < 16; x += 1) {
+          const px = mbX * 16 + x;
+          const py = mbY * 16 + y;
+          const wave = Math.sin((px + py) / 12 + shift) * 40;
+          w.u(8, clampSample(palette.luma + wave));
+        }
+      }
+      const fade = (mbX / Math.max(mbWidth - 1, 1)) * 30 - 15;
+      for (let i = 0; i < 64; i += 1) {
+        w.u(8, clampSample(palette.cb + fade));
+      }
+      for (let i = 0; i < 64; i += 1) {
+        w.u(8, clampSample(palette.cr - fade));
+      }
+    }
+  }
+  w.trailing();
+  return toNalUnit(0x65, w.toBuffer());
+}
+
+function buildSkipSlice(mbCount, frameNum) {
+  const w = createBitWriter();
+  w.ue(0); // first_mb_in_slice
+  w.ue(5); // slice_type: P
+  w.ue(0); // pic_parameter_set_id
+  w.u(4, frameNum % 16);
+  w.bit(0); // num_ref_idx_active_override_flag
+  w.bit(0); // ref_pic_list_modification_flag_l0
+  w.bit(0); // adaptive_ref_pic_marking_mode_flag
+  w.se(0); // slice_qp_delta
+  w.ue(1); // disable_deblocking_filter_idc
+  w.ue(mbCount); // mb_skip_run
+  w.trailing();
+  return toNalUnit(0x41, w.toBuffer());
+}
+
+function box(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, flags, ...payloads) {
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff), 0);
+  return box(type, prefix, ...payloads);
+}
+
+function uint32List(values) {
+  const buf = Buffer.alloc(values.length * 4);
+  values.forEach((value, index) => buf.writeUInt32BE(value, index * 4));
+  return buf;
+}
+
+const UNITY_MATRIX = uint32List([0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000]);
+
+function buildMoov({ width, height, sps, pps, sampleSizes, syncSamples, chunkOffset }) {
+  const sampleCount = sampleSizes.length;
+  const sampleDelta = TIMESCALE / FPS;
+  const duration = sampleCount * sampleDelta;
+
+  const mvhd = fullBox(
+    'mvhd', 0, 0,
+    uint32List([0, 0, TIMESCALE, duration, 0x00010000]),
+    Buffer.from([0x01, 0x00]), Buffer.alloc(10),
+    UNITY_MATRIX, Buffer.alloc(24), uint32List([2]),
+  );
+
+  const tkhdDims = uint32List([width * 0x10000, height * 0x10000]);
+  const tkhd = fullBox(
+    'tkhd', 0, 3,
+    uint32List([0, 0, 1, 0, duration, 0, 0]),
+    Buffer.alloc(8), UNITY_MATRIX, tkhdDims,
+  );
+
+  const mdhd = fullBox('mdhd', 0, 0, uint32List([0, 0, TIMESCALE, duration]), Buffer.from([0x55, 0xc4, 0, 0]));
+  const hdlr = fullBox('hdlr', 0, 0, uint32List([0]), Buffer.from('vide'), Buffer.alloc(12), Buffer.from('VideoHandler\0'));
+  const vmhd = fullBox('vmhd', 0, 1, Buffer.alloc(8));
+  const dinf = box('dinf', fullBox('dref', 0, 0, uint32List([1]), fullBox('url ', 0, 1)));
+
+  const avcC = box(
+    'avcC',
+    Buffer.from([1, sps[1], sps[2], sps[3], 0xff, 0xe1]),
+    Buffer.from([sps.length >> 8, sps.length & 0xff]), sps,
+    Buffer.from([1, pps.length >> 8, pps.length & 0xff]), pps,
+  );
+  const sampleEntryHead = Buffer.alloc(78);
+  sampleEntryHead.writeUInt16BE(1, 6); // data_reference_index
+  sampleEntryHead.writeUInt16BE(width, 24);
+  sampleEntryHead.writeUInt16BE(height, 26);
+  sampleEntryHead.writeUInt32BE(0x00480000, 28);
+  sampleEntryHead.writeUInt32BE(0x00480000, 32);
+  sampleEntryHead.writeUInt16BE(1, 40); // frame_count
+  sampleEntryHead.writeUInt16BE(0x0018, 74); // depth
+  sampleEntryHead.writeInt16BE(-1, 76);
+  const stsd = fullBox('stsd', 0, 0, uint32List([1]), box('avc1', sampleEntryHead, avcC));
+
+  const stts = fullBox('stts', 0, 0, uint32List([1, sampleCount, sampleDelta]));
+  const stss = fullBox('stss', 0, 0, uint32List([syncSamples.length, ...syncSamples]));
+  const stsc = fullBox('stsc', 0, 0, uint32List([1, 1, sampleCount, 1]));
+  const stsz = fullBox('stsz', 0, 0, uint32List([0, sampleCount, ...sampleSizes]));
+  const stco = fullBox('stco', 0, 0, uint32List([1, chunkOffset]));
+  const stbl = box('stbl', stsd, stts, stss, stsc, stsz, stco);
+
+  const minf = box('minf', vmhd, dinf, stbl);
+  const mdia = box('mdia', mdhd, hdlr, minf);
+  return box('moov', mvhd, box('trak', tkhd, mdia));
+}
+
+function paletteFromSeed(seed) {
+  let hash = 0;
+  for (const char of String(seed)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return {
+    luma: 80 + (hash % 80),
+    cb: 70 + ((hash >>> 8) % 116),
+    cr: 70 + ((hash >>> 16) % 116),
+  };
+}
+
+/**
+ * 指定サイズ（縦横を 1/8 に縮小）と秒数の MP4 を返す。
+ * seed によって色味が変わるので、動画ごとに見分けが付く。
+ */
+function generateMockMp4({ width = 1280, height = 720, seconds = 4, seed = '' } = {}) {
+  const displayWidth = Math.max(16, Math.round(width / 16) * 2);
+  const displayHeight = Math.max(16, Math.round(height / 16) * 2);
+  const mbWidth = Math.ceil(displayWidth / 16);
+  const mbHeight = Math.ceil(displayHeight / 16);
+  const cropRight = (mbWidth * 16 - displayWidth) / 2;
+  const cropBottom = (mbHeight * 16 - displayHeight) / 2;
+
+  const sps = buildSps(mbWidth, mbHeight, cropRight, cropBottom);
+  const pps = buildPps();
+  const palette = paletteFromSeed(seed);
+
+  const samples = [];
+  const syncSamples = [];
+  const totalFrames = Math.max(1, Math.round(seconds * FPS));
+  for (let frame = 0; frame < totalFrames; frame += 1) {
+    const frameInGop = frame % FPS;
+    let nal;
+    if (frameInGop === 0) {
+      const second = frame / FPS;
+      nal = buildIdrSlice(mbWidth, mbHeight, second % 2, palette, second * 0.8);
+      syncSamples.push(frame + 1);
+    } else {
+      nal = buildSkipSlice(mbWidth * mbHeight, frameInGop);
+    }
+    const lengthPrefix = Buffer.alloc(4);
+    lengthPrefix.writeUInt32BE(nal.length, 0);
+    samples.push(Buffer.concat([lengthPrefix, nal]));
+  }
+
+  const ftyp = box(
+    'ftyp',
+    Buffer.from('isom'), uint32List([0x200]),
+    Buffer.from('isomiso2avc1mp41'),
+  );
+  const moovParams = {
+    width: displayWidth,
+    height: displayHeight,
+    sps,
+    pps,
+    sampleSizes: samples.map((sample) => sample.length),
+    syncSamples,
+    chunkOffset: 0,
+  };
+  // stco は固定長なので、一度組み立てて moov のサイズから mdat の位置を求める
+  const moovLength = buildMoov(moovParams).length;
+  const moov = buildMoov({ ...moovParams, chunkOffset: ftyp.length + moovLength + 8 });
+  const mdat = box('mdat', ...samples);
+  return Buffer.concat([ftyp, moov, mdat]);
+}
+
+module.exports = { generateMockMp4, paletteFromSeed };
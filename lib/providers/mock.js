@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { generateMockMp4 } = require('./mock-mp4');
+const { generateMockThumbnail, generateMockSpritesheet } = require('./mock-images');
+const { parseRange } = require('../content-cache');
+const { providerError } = require('./errors');
+
+const QUEUE_DELAY_MS = 3000;
+const CONTENT_CACHE_LIMIT = 8;
+
+/**
+ * ネットワークも API キーも使わずに Videos API のライフサイクルを再現するプロバイダ。
+ * ジョブの状態は ID に埋め込んだ作成時刻とパラメータから毎回計算するため、
+ * サーバを再起動しても進行中のモックジョブはそのまま完了まで進む。
+ *
+ * プロンプトに `[mock-fail]` を含めるか、failureRate の確率で失敗させられる。
+ */
+function createMockProvider({ renderMs = 20000, failureRate = 0 } = {}) {
+  const contentCache = new Map();
+
+  function encodeId({ createdAt, model, size, seconds, willFail }) {
+    const random = crypto.randomBytes(4).toString('hex');
+    return `mock_${createdAt.toString(36)}_${model}_${size}_${seconds}_${willFail ? 1 : 0}_${random}`;
+  }
+
+  function decodeId(providerVideoId) {
+    const match = /^mock_([0-9a-z]+)_([0-9a-z.-]+)_(\d+x\d+)_(\d+)_([01])_[0-9a-f]+$/.exec(providerVideoId);
+    if (!match) {
+      return null;
+    }
+    return {
+      createdAt: parseInt(match[1], 36),
+      model: match[2],
+      size: match[3],
+      seconds: match[4],
+      willFail: match[5] === '1',
+    };
+  }
+
+  function notFoundError(providerVideoId) {
+    return providerError('not_found', `Mock provider error (404): video ${providerVideoId} not found`, {
+      status: 404,
+    });
+  }
+
+  // 序盤は速く、終盤はゆっくり進む実際のレンダリングに近い進捗カーブ
+  function progressAt(elapsedMs) {
+    const ratio = Math.min(Math.max((elapsedMs - QUEUE_DELAY_MS) / renderMs, 0), 1);
+    return Math.min(99, Math.floor((1 - Math.pow(1 - ratio, 2)) * 100));
+  }
+
+  function describe(providerVideoId, job, now = Date.now()) {
+    const elapsed = now - job.createdAt;
+    const base = {
+      id: providerVideoId,
+      object: 'video',
+      model: job.model,
+      size: job.size,
+      seconds: job.seconds,
+      created_at: Math.floor(job.createdAt / 1000),
+    };
+    if (elapsed < QUEUE_DELAY_MS) {
+      return { ...base, status: 'queued', progress: 0 };
+    }
+    // 失敗するジョブは途中まで進んでから落とす
+    const failAt = QUEUE_DELAY_MS + renderMs * 0.6;
+    if (job.willFail && elapsed >= failAt) {
+      return {
+        ...base,
+        status: 'failed',
+        progress: progressAt(failAt),
+        error: { code: 'mock_failure', message: 'Mock provider simulated a failure' },
+      };
+    }
+    if (elapsed < QUEUE_DELAY_MS + renderMs) {
+      return { ...base, status: 'in_progress', progress: progressAt(elapsed) };
+    }
+    return {
+      ...base,
+      status: 'completed',
+      progress: 100,
+      completed_at: Math.floor((job.createdAt + QUEUE_DELAY_MS + renderMs) / 1000),
+    };
+  }
+
+  async function createVideo(params) {
+    const willFail = /\[mock-fail\]/i.test(params.prompt) || Math.random() < failureRate;
+    const job = {
+      createdAt: Date.now(),
+      model: params.model,
+      size: params.size,
+      seconds: params.seconds,
+      willFail,
+    };
+    return describe(encodeId(job), job, job.createdAt);
+  }
+
+  async function getVideo(providerVideoId) {
+    const job = decodeId(providerVideoId);
+    if (!job) {
+      throw notFoundError(providerVideoId);
+    }
+    return describe(providerVideoId, job);
+  }
+
+  // リミックスは元動画のモデル・サイズ・秒数を引き継いだ新しいジョブとして扱う
+  async function remixVideo(providerVideoId, { prompt }) {
+    const source = decodeId(providerVideoId);
+    if (!source) {
+      throw notFoundError(providerVideoId);
+    }
+    const response = await createVideo({ ...source, prompt });
+    return { ...response, remixed_from_video_id: providerVideoId };
+  }
+
+  async function deleteVideo(providerVideoId) {
+    if (!decodeId(providerVideoId)) {
+      throw notFoundError(providerVideoId);
+    }
+    contentCache.delete(providerVideoId);
+    return { id: providerVideoId, object: 'video.deleted', deleted: true };
+  }
+
+  function renderContent(providerVideoId, job) {
+    if (contentCache.has(providerVideoId)) {
+      return contentCache.get(providerVideoId);
+    }
+    const [width, height] = job.size.split('x').map(Number);
+    const buffer = generateMockMp4({ width, height, seconds: Number(job.seconds), seed: providerVideoId });
+    contentCache.set(providerVideoId, buffer);
+    if (contentCache.size > CONTENT_CACHE_LIMIT) {
+      contentCache.delete(contentCache.keys().next().value);
+    }
+    return buffer;
+  }
+
+  function jsonResponse(status, message) {
+    return new Response(JSON.stringify({ error: { message } }), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  async function fetchContent(providerVideoId, { headers = {}, variant = 'video' } = {}) {
+    const job = decodeId(providerVideoId);
+    if (!job) {
+      return jsonResponse(404, `video ${providerVideoId} not found`);
+    }
+    if (describe(providerVideoId, job).status !== 'completed') {
+      return jsonResponse(409, 'video is not completed');
+    }
+    if (variant === 'thumbnail' || variant === 'spritesheet') {
+      const [width, height] = job.size.split('x').map(Number);
+      const generate = variant === 'thumbnail' ? generateMockThumbnail : generateMockSpritesheet;
+      const image = generate({ width, height, seconds: Number(job.seconds), seed: providerVideoId });
+      return new Response(image, {
+        status: 200,
+        headers: { 'Content-Type': 'image/svg+xml', 'Content-Length': String(image.length) },
+      });
+    }
+    if (variant !== 'video') {
+      return jsonResponse(400, `unsupported variant: ${variant}`);
+    }
+
+    const buffer = renderContent(providerVideoId, job);
+    const rangeHeader = headers['Range'] || headers['range'];
+    const range = rangeHeader ? parseRange(rangeHeader, buffer.length) : null;
+    if (range === 'unsatisfiable') {
+      return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${buffer.length}` } });
+    }
+    if (range) {
+      const slice = buffer.subarray(range.start, range.end + 1);
+      return new Response(slice, {
+        status: 206,
+        headers: {
+          'Content-Type': 'video/mp4',
+          'Content-Length': String(slice.length),
+          'Content-Range': `bytes ${range.start}-${range.end}/${buffer.length}`,
+          'Accept-Ranges': 'bytes',
+        },
+      });
+    }
+    return new Response(buffer, {
+      status: 200,
+      headers: {
+        'Content-Type': 'video/mp4',
+        'Content-Length': String(buffer.length),
+        'Accept-Ranges': 'bytes',
+      },
+    });
+  }
+
+  return {
+    name: 'mock',
+    isConfigured: () => true,
+    health: () => ({ state: 'closed', consecutiveFailures: 0, openedAt: null, retryAt: null }),
+    createVideo,
+    getVideo,
+    remixVideo,
+    deleteVideo,
+    fetchContent,
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { createProviderHttpClient } = require('./http-client');
+const { providerError, errorFromResponse } = require('./errors');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAI Videos API を呼び出すプロバイダ。
+ * baseUrl を差し替えれば互換 API やローカルのスタブにも向けられる。
+ * 呼び出しはすべて http（タイムアウト・再試行・サーキットブレーカー付き）を通し、失敗は型付きエラーにする。
+ */
+function createOpenAIProvider({ apiKey = '', baseUrl = DEFAULT_BASE_URL, http = createProviderHttpClient() } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  function ensureConfigured() {
+    if (!apiKey) {
+      throw providerError('not_configured', 'OPENAI_API_KEY is not configured');
+    }
+  }
+
+  async function readJson(response) {
+    if (!response.ok) {
+      throw await errorFromResponse(response, 'OpenAI');
+    }
+    return response.json();
+  }
+
+  async function createVideo(params) {
+    ensureConfigured();
+
+    const formData = new FormData();
+    formData.set('model', params.model);
+    formData.set('prompt', params.prompt);
+    formData.set('seconds', params.seconds);
+    formData.set('size', params.size);
+    if (params.inputReference) {
+      // ディスク上のファイルを指す Blob なので、送信時に少しずつ読み出され全体はメモリに載らない
+      const blob = await fs.openAsBlob(params.inputReference.path, {
+        type: params.inputReference.mimeType || 'application/octet-stream',
+      });
+      formData.append('input_reference', blob, params.inputReference.filename);
+    }
+
+    const response = await http.request(`${root}/videos`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: formData,
+    });
+    return readJson(response);
+  }
+
+  async function getVideo(providerVideoId) {
+    ensureConfigured();
+    const response = await http.request(`${root}/videos/${encodeURIComponent(providerVideoId)}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+      },
+    });
+    return readJson(response);
+  }
+
+  async function remixVideo(providerVideoId, { prompt }) {
+    ensureConfigured();
+    const response = await http.request(`${root}/videos/${encodeURIComponent(providerVideoId)}/remix`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ prompt }),
+    });
+    return readJson(response);
+  }
+
+  async function deleteVideo(providerVideoId) {
+    ensureConfigured();
+    const response = await http.request(`${root}/videos/${encodeURIComponent(providerVideoId)}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+      },
+    });
+    return readJson(response);
+  }
+
+  async function fetchContent(providerVideoId, { headers = {}, variant = 'video' } = {}) {
+    ensureConfigured();
+    const query = variant && variant !== 'video' ? `?variant=${encodeURIComponent(variant)}` : '';
+    return http.request(`${root}/videos/${encodeURIComponent(providerVideoId)}/content${query}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        ...headers,
+      },
+    });
+  }
+
+  return {
+    name: 'openai',
+    isConfigured: () => Boolean(apiKey),
+    health: http.state,
+    createVideo,
+    getVideo,
+    remixVideo,
+    deleteVideo,
+    fetchContent,
+  };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_BASE_URL };
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { matchesEtag } = require('./content-cache');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.mjs': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.woff2': 'font/woff2',
+};
+
+// テキスト系だけ圧縮する（画像・動画・フォントは元から圧縮済み）
+const COMPRESSIBLE_TYPES = /^(text\/|application\/(javascript|json)|image\/svg\+xml)/;
+// これより小さいファイルは圧縮しても得にならない
+const MIN_COMPRESS_BYTES = 1024;
+
+const COMPRESSORS = {
+  br: promisify(zlib.brotliCompress),
+  gzip: promisify(zlib.gzip),
+};
+
+// 画面は同一オリジンの JS / CSS / API だけで動く。blob: は参照メディアのプレビュー用
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    "img-src 'self' data: blob:",
+    "media-src 'self' blob:",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+  ].join('; '),
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'same-origin',
+  'Cross-Origin-Opener-Policy': 'same-origin',
+  'Cross-Origin-Resource-Policy': 'same-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+};
+
+/**
+ * Accept-Encoding から使う圧縮方式を選ぶ（br > gzip > なし）。q=0 は拒否として扱う。
+ */
+function negotiateEncoding(header) {
+  if (!header) {
+    return null;
+  }
+  const accepted = new Map();
+  for (const part of header.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    accepted.set(name, Number.isNaN(q) ? 0 : q);
+  }
+  return ['br', 'gzip'].find((encoding) => {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : accepted.get('*');
+    return q > 0;
+  }) || null;
+}
+
+function isNotModifiedSince(header, mtime) {
+  const since = Date.parse(header || '');
+  // HTTP の日付は秒単位なので、ミリ秒を切り捨てて比べる
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+/**
+ * rootDir 配下のファイルを GET / HEAD で配信する。
+ * URL のパスはデコードしてから rootDir の内側に収まるかを確かめ、外に出るものやドットファイルは 404。
+ * ETag / Last-Modified で 304 を返し、テキスト系は br / gzip で圧縮した結果をメモリに持っておく。
+ * ファイル名にハッシュを付けていないので、Cache-Control は毎回検証させる no-cache にしている。
+ */
+function createStaticFiles(rootDir) {
+  const root = path.resolve(rootDir);
+  const compressed = new Map();
+
+  // URL のパスを配信対象の絶対パスにする。rootDir の外・ドットファイル・不正なエンコードは null
+  function resolveFile(urlPath) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(urlPath);
+    } catch (err) {
+      return null;
+    }
+    if (decoded.includes('\0') || decoded.split(/[\\/]/).some((segment) => segment.startsWith('.'))) {
+      return null;
+    }
+    const resolved = path.resolve(root, `.${path.sep}${decoded}`);
+    return resolved.startsWith(`${root}${path.sep}`) ? resolved : null;
+  }
+
+  // 同じ版（ETag）の圧縮結果は使い回し、ファイルが変わったら作り直す
+  async function compressedBody(filePath, etag, encoding) {
+    const key = `${filePath}:${encoding}`;
+    const cached = compressed.get(key);
+    if (cached && cached.etag === etag) {
+      return cached.body;
+    }
+    const body = await COMPRESSORS[encoding](await fs.promises.readFile(filePath));
+    compressed.set(key, { etag, body });
+    return body;
+  }
+
+  /**
+   * 配信したら true、該当するファイルがなければ何もせず false を返す。
+   */
+  async function serve(req, res, urlPath) {
+    const filePath = resolveFile(urlPath);
+    if (!filePath) {
+      return false;
+    }
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+        return false;
+      }
+      throw err;
+    }
+    if (!stats.isFile()) {
+      return false;
+    }
+
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    const compressible = COMPRESSIBLE_TYPES.test(contentType) && stats.size >= MIN_COMPRESS_BYTES;
+    const encoding = compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    const version = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`;
+    // 表現（圧縮方式）ごとに別の ETag にする
+    const etag = encoding ? `"${version}-${encoding}"` : `"${version}"`;
+    const headers = {
+      ...SECURITY_HEADERS,
+      'Content-Type': contentType,
+      'Cache-Control': 'no-cache',
+      'ETag': etag,
+      'Last-Modified': stats.mtime.toUTCString(),
+      ...(compressible ? { 'Vary': 'Accept-Encoding' } : {}),
+    };
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch ? matchesEtag(ifNoneMatch, etag) : isNotModifiedSince(req.headers['if-modified-since'], stats.mtime)) {
+      res.writeHead(304, headers);
+      res.end();
+      return true;
+    }
+
+    if (encoding) {
+      const body = await compressedBody(filePath, etag, encoding);
+      res.writeHead(200, { ...headers, 'Content-Encoding': encoding, 'Content-Length': String(body.length) });
+      res.end(req.method === 'HEAD' ? undefined : body);
+      return true;
+    }
+
+    res.writeHead(200, { ...headers, 'Content-Length': String(stats.size) });
+    if (req.method === 'HEAD' || stats.size === 0) {
+      res.end();
+      return true;
+    }
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', (err) => res.destroy(err));
+    stream.pipe(res);
+    return true;
+  }
+
+  return { serve, resolve: resolveFile };
+}
+
+module.exports = { createStaticFiles };
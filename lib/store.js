@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const STORE_VERSION = 1;
+
+/**
+ * レコード配列を 1 つの JSON ファイルへ永続化する簡易ストア。
+ * 書き込みは一時ファイル → rename で行い、途中でプロセスが落ちても
+ * 既存ファイルが壊れないようにする。
+ * 非同期書き込みの失敗は onError に渡す（既定は標準エラー出力）。
+ */
+function createJsonStore(filePath, {
+  onError = (err) => console.error(`Failed to write ${filePath}: ${err.message}`),
+} = {}) {
+  let writing = false;
+  let pendingPayload = null;
+  // 最後に save された内容（書き込み中の分も含む）。flushSync はこれを書く
+  let lastPayload = null;
+
+  function load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    }
+    if (!raw.trim()) {
+      return [];
+    }
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      // 壊れたファイルを空で上書きしないよう、起動を止めて気付かせる
+      throw new Error(`Failed to parse ${filePath}: ${err.message}`);
+    }
+    return Array.isArray(data.records) ? data.records : [];
+  }
+
+  function serialize(records) {
+    return JSON.stringify({ version: STORE_VERSION, records }, null, 2);
+  }
+
+  function writeAtomic(payload, callback) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirErr) => {
+      if (mkdirErr) {
+        callback(mkdirErr);
+        return;
+      }
+      fs.writeFile(tmpPath, payload, (writeErr) => {
+        if (writeErr) {
+          callback(writeErr);
+          return;
+        }
+        fs.rename(tmpPath, filePath, callback);
+      });
+    });
+  }
+
+  function drain() {
+    if (writing || pendingPayload === null) {
+      return;
+    }
+    const payload = pendingPayload;
+    pendingPayload = null;
+    writing = true;
+    writeAtomic(payload, (err) => {
+      writing = false;
+      if (err) {
+        onError(err);
+      }
+      drain();
+    });
+  }
+
+  function save(records) {
+    // 呼び出し時点のスナップショットを取り、書き込み中なら最新分だけを後で書く
+    pendingPayload = serialize(records);
+    lastPayload = pendingPayload;
+    drain();
+  }
+
+  /**
+   * 終了時用。未書き込みの分に加え、非同期の書き込みが途中ならその内容も同期で書き切る。
+   * 非同期側と一時ファイルを共有しないよう別名を使い、非同期側が後から古い内容で rename しても
+   * drain で最新を書き直せるよう、書き込み中なら pendingPayload に残しておく。
+   */
+  function flushSync() {
+    if (pendingPayload === null && !writing) {
+      return;
+    }
+    const payload = lastPayload;
+    pendingPayload = writing ? payload : null;
+    const tmpPath = `${filePath}.sync.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, payload);
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { load, save, flushSync };
+}
+
+module.exports = { createJsonStore };
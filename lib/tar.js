@@ -0,0 +1,150 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+
+const BLOCK_SIZE = 512;
+// ustar のサイズ欄（8 進 11 桁）で表せる上限
+const MAX_ENTRY_SIZE = 8 ** 11 - 1;
+
+function writeOctal(header, offset, length, value) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(block, offset, length) {
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function checksumOf(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i += 1) {
+    // チェックサム欄自身は空白 8 個として計算する
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum;
+}
+
+function entryHeader({ name, size, mtime = new Date() }) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`tar entry name is too long: ${name}`);
+  }
+  if (size > MAX_ENTRY_SIZE) {
+    throw new Error(`tar entry is too large: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor(mtime.getTime() / 1000));
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+  writeOctal(header, 148, 7, checksumOf(header));
+  header[155] = 0x20;
+  return header;
+}
+
+function paddingFor(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder === 0 ? null : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+async function* generateTar(entries) {
+  for (const entry of entries) {
+    yield entryHeader(entry);
+    if (entry.body) {
+      yield entry.body;
+    } else {
+      let written = 0;
+      for await (const chunk of entry.open()) {
+        written += chunk.length;
+        yield chunk;
+      }
+      // ヘッダに書いたサイズとずれると以降のエントリが読めなくなるので、途中で打ち切る
+      if (written !== entry.size) {
+        throw new Error(`tar entry ${entry.name} changed while archiving`);
+      }
+    }
+    const padding = paddingFor(entry.size);
+    if (padding) {
+      yield padding;
+    }
+  }
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * 通常ファイルだけからなる tar（ustar）を順に書き出す Readable を返す。
+ * entries は `{ name, size, mtime?, body: Buffer }` または `{ name, size, mtime?, open: () => Readable }`。
+ * open はそのエントリを書く直前に呼ばれるので、大きなファイルもメモリに載せずに流せる。
+ */
+function createTarStream(entries) {
+  return Readable.from(generateTar(entries), { objectMode: false });
+}
+
+// createTarStream が書き出す総バイト数（Content-Length 用）
+function tarSize(entries) {
+  return entries.reduce(
+    (total, entry) => total + BLOCK_SIZE + Math.ceil(entry.size / BLOCK_SIZE) * BLOCK_SIZE,
+    BLOCK_SIZE * 2,
+  );
+}
+
+/**
+ * ディスク上の tar を走査し、通常ファイルの `{ name, size, offset }` を並べて返す。
+ * offset は本文の開始位置で、readTarEntry / fs.createReadStream の start に使う。
+ * ヘッダが壊れている場合は Error を投げる。
+ */
+async function listTarEntries(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const entries = [];
+    const block = Buffer.alloc(BLOCK_SIZE);
+    let position = 0;
+    while (position + BLOCK_SIZE <= fileSize) {
+      await handle.read(block, 0, BLOCK_SIZE, position);
+      if (block.every((byte) => byte === 0)) {
+        break;
+      }
+      if (readOctal(block, 148, 8) !== checksumOf(block)) {
+        throw new Error(`Invalid tar header at byte ${position}`);
+      }
+      const size = readOctal(block, 124, 12);
+      const offset = position + BLOCK_SIZE;
+      if (offset + size > fileSize) {
+        throw new Error('Unexpected end of tar archive');
+      }
+      const type = String.fromCharCode(block[156]);
+      if (type === '0' || block[156] === 0) {
+        const prefix = readString(block, 345, 155);
+        const name = readString(block, 0, 100);
+        entries.push({ name: prefix ? `${prefix}/${name}` : name, size, offset });
+      }
+      position = offset + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+async function readTarEntry(filePath, entry) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(entry.size);
+    await handle.read(buffer, 0, entry.size, entry.offset);
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { createTarStream, tarSize, listTarEntries, readTarEntry };
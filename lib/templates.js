@@ -0,0 +1,126 @@
+const { fieldError } = require('./validation');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_TEMPLATE_PROMPT_LENGTH = 4000;
+const MAX_VALUE_LENGTH = 1000;
+const TEMPLATE_FIELDS = ['name', 'description', 'prompt', 'model', 'size', 'seconds'];
+// {{name}} / {{ name }}。名前は英数字・日本語・_ と -
+const VARIABLE_PATTERN = /\{\{\s*([\p{L}\p{N}_-]+)\s*\}\}/gu;
+
+// 出てきた順に、重複なしで変数名を返す
+function extractVariables(prompt) {
+  const names = [];
+  for (const match of prompt.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+function requiredText(body, field, maxLength, errors) {
+  const value = body[field];
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(fieldError(field, 'required', `${field} is required`));
+    return undefined;
+  }
+  const text = value.trim();
+  if (Array.from(text).length > maxLength) {
+    errors.push(fieldError(field, 'too_long', `${field} must be at most ${maxLength} characters`));
+    return undefined;
+  }
+  return text;
+}
+
+// 既定の model / size / seconds は省略可（null か空文字で未指定に戻す）
+function optionalOption(body, field) {
+  const value = body[field];
+  return value === null || value === undefined || value === '' ? null : String(value);
+}
+
+/**
+ * POST / PATCH /api/templates の本文を検証・正規化する。
+ * existing を渡すと部分更新として扱い、送られたフィールドだけを changes に入れる。
+ * 既定の model / size / seconds は更新後の組み合わせが検証ポリシーで許可されているかを見る。
+ */
+function sanitizeTemplate(body, policy, existing = null) {
+  const errors = [];
+  const changes = {};
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { changes, errors: [fieldError('body', 'invalid_format', 'request body must be a JSON object')] };
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      errors.push(fieldError(field, 'unsupported', `${field} cannot be set (allowed: ${TEMPLATE_FIELDS.join(', ')})`));
+    }
+  }
+  if (!existing || 'name' in body) {
+    changes.name = requiredText(body, 'name', MAX_NAME_LENGTH, errors);
+  }
+  if (!existing || 'prompt' in body) {
+    changes.prompt = requiredText(body, 'prompt', MAX_TEMPLATE_PROMPT_LENGTH, errors);
+    if (changes.prompt !== undefined) {
+      changes.variables = extractVariables(changes.prompt);
+    }
+  }
+  if ('description' in body) {
+    const { description } = body;
+    if (description !== null && typeof description !== 'string') {
+      errors.push(fieldError('description', 'invalid_format', 'description must be a string or null'));
+    } else if (description && Array.from(description.trim()).length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(fieldError('description', 'too_long', `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`));
+    } else {
+      changes.description = description ? description.trim() || null : null;
+    }
+  }
+  for (const field of ['model', 'size', 'seconds']) {
+    if (!existing || field in body) {
+      changes[field] = optionalOption(body, field);
+    }
+  }
+
+  const merged = { ...existing, ...changes };
+  // constructor などプロトタイプ上の名前を拾わないよう、自身のキーだけを見る
+  const modelRule = merged.model && Object.hasOwn(policy.models, merged.model) ? policy.models[merged.model] : null;
+  if (merged.model && !modelRule) {
+    errors.push(fieldError('model', 'unsupported', `model must be one of ${Object.keys(policy.models).join(', ')}`));
+  }
+  // モデル未指定なら、どれかのモデルで使える値であればよい
+  const rules = modelRule ? [modelRule] : Object.values(policy.models);
+  if (merged.size && !rules.some((rule) => rule.sizes.includes(merged.size))) {
+    errors.push(fieldError('size', 'unsupported', `size ${merged.size} is not supported${modelRule ? ` by ${merged.model}` : ''}`));
+  }
+  if (merged.seconds && !rules.some((rule) => rule.seconds.includes(merged.seconds))) {
+    errors.push(fieldError('seconds', 'unsupported', `seconds ${merged.seconds} is not supported${modelRule ? ` by ${merged.model}` : ''}`));
+  }
+  return { changes, errors };
+}
+
+/**
+ * テンプレートの {{変数}} を values で置き換える。
+ * 値が空の変数は `variables.<name>` のフィールドエラーにする（フォームの入力欄の name と同じ）。
+ * 値に {{ }} を含めると、できたプロンプトをテンプレートにしたときに変数として解釈されるので受け付けない。
+ */
+function renderTemplate(template, values) {
+  const errors = [];
+  const used = {};
+  for (const name of template.variables) {
+    const raw = Object.hasOwn(values, name) ? values[name] : undefined;
+    const value = typeof raw === 'string' || typeof raw === 'number' ? String(raw).trim() : '';
+    if (!value) {
+      errors.push(fieldError(`variables.${name}`, 'required', `variable ${name} is required`));
+    } else if (Array.from(value).length > MAX_VALUE_LENGTH) {
+      errors.push(fieldError(`variables.${name}`, 'too_long', `variable ${name} must be at most ${MAX_VALUE_LENGTH} characters`));
+    } else if (value.includes('{{') || value.includes('}}')) {
+      errors.push(fieldError(`variables.${name}`, 'invalid_format', `variable ${name} must not contain {{ or }}`));
+    } else {
+      used[name] = value;
+    }
+  }
+  const prompt = template.prompt.replace(VARIABLE_PATTERN, (placeholder, name) => (Object.hasOwn(used, name) ? used[name] : placeholder));
+  return { prompt, values: used, errors };
+}
+
+module.exports = { extractVariables, sanitizeTemplate, renderTemplate };
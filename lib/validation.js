@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 生成パラメータの検証ポリシー。
+ * 既定は config/validation-policy.json で、VALIDATION_POLICY_FILE で同じ形の JSON に差し替えられる。
+ *   - models: モデルごとに許可する size / seconds の組み合わせ
+ *   - prompt: 最大文字数と禁止語（部分一致・大文字小文字無視）/ 禁止パターン（正規表現文字列）
+ *   - inputReference: 参照メディアの最大バイト数と許可する MIME タイプ（`image/*` のような指定も可）
+ */
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'validation-policy.json');
+
+function loadValidationPolicy(filePath = DEFAULT_POLICY_FILE) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw.models || typeof raw.models !== 'object' || Object.keys(raw.models).length === 0) {
+    throw new Error(`Validation policy ${filePath} must declare at least one model`);
+  }
+  const models = {};
+  for (const [model, rule] of Object.entries(raw.models)) {
+    models[model] = {
+      sizes: (rule.sizes || []).map(String),
+      seconds: (rule.seconds || []).map(String),
+    };
+  }
+  const firstModel = Object.keys(models)[0];
+  const defaults = {
+    model: firstModel,
+    size: models[firstModel].sizes[0],
+    seconds: models[firstModel].seconds[0],
+    ...raw.defaults,
+  };
+  const prompt = raw.prompt || {};
+  const inputReference = raw.inputReference || {};
+  return {
+    defaults: { ...defaults, seconds: String(defaults.seconds) },
+    models,
+    prompt: {
+      maxLength: Number(prompt.maxLength) || null,
+      blockedTerms: (prompt.blockedTerms || []).map((term) => String(term).toLowerCase()),
+      blockedPatterns: (prompt.blockedPatterns || []).map((pattern) => new RegExp(pattern, 'i')),
+    },
+    inputReference: {
+      maxBytes: Number(inputReference.maxBytes) || 25 * 1024 * 1024,
+      mimeTypes: inputReference.mimeTypes || null,
+    },
+  };
+}
+
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+function mimeTypeAllowed(mimeType, allowed) {
+  if (!allowed) {
+    return true;
+  }
+  return allowed.some((entry) => (
+    entry.endsWith('/*') ? mimeType.startsWith(entry.slice(0, -1)) : mimeType === entry
+  ));
+}
+
+/**
+ * 正規化済みのパラメータをポリシーに照らし、フィールドごとのエラーを返す。
+ * エラーは { field, code, message } の配列で、フロントはこれを各入力欄の横に表示する。
+ */
+function validateVideoParams({ prompt, model, size, seconds }, inputReference, policy) {
+  const errors = [];
+
+  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
+    errors.push(fieldError('prompt', 'required', 'prompt is required'));
+  } else {
+    const text = prompt.trim();
+    const length = Array.from(text).length;
+    if (policy.prompt.maxLength && length > policy.prompt.maxLength) {
+      errors.push(fieldError(
+        'prompt',
+        'too_long',
+        `prompt must be at most ${policy.prompt.maxLength} characters (got ${length})`,
+      ));
+    }
+    const lowered = text.toLowerCase();
+    const term = policy.prompt.blockedTerms.find((candidate) => lowered.includes(candidate));
+    if (term) {
+      errors.push(fieldError('prompt', 'blocked_term', `prompt contains a blocked term: ${term}`));
+    } else if (policy.prompt.blockedPatterns.some((pattern) => pattern.test(text))) {
+      errors.push(fieldError('prompt', 'blocked_term', 'prompt matches a blocked pattern'));
+    }
+  }
+
+  // constructor などプロトタイプ上の名前を拾わないよう、自身のキーだけを見る
+  const modelRule = Object.hasOwn(policy.models, model) ? policy.models[model] : null;
+  if (!modelRule) {
+    errors.push(fieldError(
+      'model',
+      'unsupported',
+      `model must be one of ${Object.keys(policy.models).join(', ')}`,
+    ));
+  } else {
+    if (!/^\d{3,5}x\d{3,5}$/.test(size)) {
+      errors.push(fieldError('size', 'invalid_format', 'size must follow WIDTHxHEIGHT'));
+    } else if (!modelRule.sizes.includes(size)) {
+      errors.push(fieldError(
+        'size',
+        'unsupported',
+        `size ${size} is not supported by ${model} (allowed: ${modelRule.sizes.join(', ')})`,
+      ));
+    }
+    if (!modelRule.seconds.includes(seconds)) {
+      errors.push(fieldError(
+        'seconds',
+        'unsupported',
+        `seconds must be one of ${modelRule.seconds.join(', ')} for ${model}`,
+      ));
+    }
+  }
+
+  // 種類と縦横はクライアントの申告ではなく、ファイルの中身から判定した値（lib/media-probe.js）で見る
+  if (inputReference) {
+    if (inputReference.size === 0) {
+      errors.push(fieldError('input_reference', 'empty', 'input_reference file is empty'));
+    } else if (inputReference.size > policy.inputReference.maxBytes) {
+      errors.push(fieldError('input_reference', 'too_large', referenceTooLargeMessage(policy)));
+    } else if (!inputReference.mimeType) {
+      errors.push(fieldError(
+        'input_reference',
+        'unsupported_type',
+        'input_reference is not a recognized PNG, JPEG, WebP or MP4 file',
+      ));
+    } else if (!mimeTypeAllowed(inputReference.mimeType, policy.inputReference.mimeTypes)) {
+      errors.push(fieldError(
+        'input_reference',
+        'unsupported_type',
+        `input_reference must be one of ${policy.inputReference.mimeTypes.join(', ')} (got ${inputReference.mimeType})`,
+      ));
+    } else if (!inputReference.width || !inputReference.height) {
+      errors.push(fieldError('input_reference', 'invalid_format', 'could not read the dimensions of input_reference'));
+    } else if (/^\d+x\d+$/.test(size) && `${inputReference.width}x${inputReference.height}` !== size) {
+      errors.push(fieldError(
+        'input_reference',
+        'dimension_mismatch',
+        `input_reference is ${inputReference.width}x${inputReference.height} but size is ${size}; `
+          + 'resize the reference or choose a matching size',
+      ));
+    }
+  }
+
+  return errors;
+}
+
+// フロントがフォームを組み立てるための、ポリシーの公開してよい部分
+function describeCapabilities(policy) {
+  return {
+    models: Object.entries(policy.models).map(([id, rule]) => ({
+      id,
+      sizes: rule.sizes,
+      seconds: rule.seconds,
+    })),
+    defaults: policy.defaults,
+    limits: {
+      maxPromptLength: policy.prompt.maxLength,
+      maxReferenceBytes: policy.inputReference.maxBytes,
+      referenceMimeTypes: policy.inputReference.mimeTypes,
+    },
+  };
+}
+
+function referenceTooLargeMessage(policy) {
+  const { maxBytes } = policy.inputReference;
+  const limit = maxBytes >= 1024 * 1024
+    ? `${Math.round((maxBytes / (1024 * 1024)) * 10) / 10}MB`
+    : `${Math.ceil(maxBytes / 1024)}KB`;
+  return `input_reference must not exceed ${limit}`;
+}
+
+module.exports = {
+  DEFAULT_POLICY_FILE,
+  loadValidationPolicy,
+  validateVideoParams,
+  describeCapabilities,
+  fieldError,
+  referenceTooLargeMessage,
+};
@@ -0,0 +1,248 @@
+const { fieldError } = require('./validation');
+
+const VIDEO_STATUSES = ['pending_local', 'queued', 'in_progress', 'completed', 'failed', 'stalled', 'cancelled'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+// 並び順ごとの比較キー。値が同じ場合は id で順序を固定し、カーソルがずれないようにする
+const SORT_KEYS = {
+  createdAt: (video) => Date.parse(video.createdAt) || 0,
+  updatedAt: (video) => Date.parse(video.updatedAt || video.createdAt) || 0,
+  cost: (video) => (typeof video.costEstimateUsd === 'number' ? video.costEstimateUsd : -1),
+};
+
+function listParam(searchParams, name) {
+  return searchParams.getAll(name)
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+function encodeCursor(video, sort) {
+  return Buffer.from(JSON.stringify({ k: SORT_KEYS[sort](video), id: video.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof decoded.id === 'string' && typeof decoded.k === 'number' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseDateParam(searchParams, name, errors) {
+  const value = searchParams.get(name);
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    errors.push(fieldError(name, 'invalid_format', `${name} must be an ISO 8601 date`));
+    return null;
+  }
+  return time;
+}
+
+/**
+ * GET /api/videos のクエリを解釈する。
+ *   status / model / size: カンマ区切りまたは複数指定（いずれかに一致）
+ *   since / until: createdAt の範囲（since 以上 until 未満、ISO 8601）
+ *   q: プロンプト・タイトル・メモ・タグの部分一致（大文字小文字無視、空白区切りはすべて含むもの）
+ *   tag: カンマ区切り（いずれかのタグが付いているもの、大文字小文字無視）、favorite=true: お気に入りのみ
+ *   batchId, sort: createdAt | updatedAt | cost, order: desc | asc, limit, cursor
+ * 不正な値は validation と同じ { field, code, message } の配列で返す。
+ */
+function parseVideoQuery(searchParams) {
+  const errors = [];
+
+  const statuses = listParam(searchParams, 'status');
+  const unknownStatus = statuses.find((status) => !VIDEO_STATUSES.includes(status));
+  if (unknownStatus) {
+    errors.push(fieldError('status', 'unsupported', `status must be one of ${VIDEO_STATUSES.join(', ')}`));
+  }
+
+  const sort = searchParams.get('sort') || 'createdAt';
+  if (!SORT_KEYS[sort]) {
+    errors.push(fieldError('sort', 'unsupported', `sort must be one of ${Object.keys(SORT_KEYS).join(', ')}`));
+  }
+  const order = searchParams.get('order') || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push(fieldError('order', 'unsupported', 'order must be asc or desc'));
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (searchParams.has('limit')) {
+    limit = Number(searchParams.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(fieldError('limit', 'invalid_format', `limit must be an integer between 1 and ${MAX_LIMIT}`));
+    }
+  }
+
+  let cursor = null;
+  if (searchParams.get('cursor')) {
+    cursor = decodeCursor(searchParams.get('cursor'));
+    if (!cursor) {
+      errors.push(fieldError('cursor', 'invalid_format', 'cursor is invalid'));
+    }
+  }
+
+  const query = {
+    statuses,
+    models: listParam(searchParams, 'model'),
+    sizes: listParam(searchParams, 'size'),
+    since: parseDateParam(searchParams, 'since', errors),
+    until: parseDateParam(searchParams, 'until', errors),
+    terms: (searchParams.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean),
+    tags: listParam(searchParams, 'tag').map((tag) => tag.toLowerCase()),
+    favoriteOnly: searchParams.get('favorite') === 'true',
+    batchId: searchParams.get('batchId') || null,
+    sort,
+    order,
+    limit,
+    cursor,
+  };
+  return { query, errors };
+}
+
+function searchableText(video) {
+  return [video.prompt, video.title, video.notes, ...(video.tags || [])]
+    .filter(Boolean)
+    .join('\n')
+    .toLowerCase();
+}
+
+function matchesQuery(video, query) {
+  if (query.statuses.length > 0 && !query.statuses.includes(video.status)) {
+    return false;
+  }
+  if (query.models.length > 0 && !query.models.includes(video.model)) {
+    return false;
+  }
+  if (query.sizes.length > 0 && !query.sizes.includes(video.size ?? video.resolution)) {
+    return false;
+  }
+  if (query.batchId && video.batchId !== query.batchId) {
+    return false;
+  }
+  if (query.favoriteOnly && !video.favorite) {
+    return false;
+  }
+  if (query.tags.length > 0 && !(video.tags || []).some((tag) => query.tags.includes(tag.toLowerCase()))) {
+    return false;
+  }
+  const createdAt = Date.parse(video.createdAt);
+  if (query.since !== null && !(createdAt >= query.since)) {
+    return false;
+  }
+  if (query.until !== null && !(createdAt < query.until)) {
+    return false;
+  }
+  if (query.terms.length > 0) {
+    const text = searchableText(video);
+    return query.terms.every((term) => text.includes(term));
+  }
+  return true;
+}
+
+function compareBy(order) {
+  const direction = order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const diff = a.k - b.k;
+    if (diff !== 0) {
+      return diff * direction;
+    }
+    return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * direction;
+  };
+}
+
+/**
+ * 条件に合うレコードを並べ替え、カーソルの次から limit 件を返す。
+ * nextCursor は続きがあるときだけ入り、同じ条件のまま cursor に渡すと次のページになる。
+ */
+function queryVideos(records, query) {
+  const key = SORT_KEYS[query.sort];
+  const compare = compareBy(query.order);
+  const ordered = [];
+  for (const video of records) {
+    if (matchesQuery(video, query)) {
+      ordered.push({ k: key(video), id: video.id, video });
+    }
+  }
+  ordered.sort(compare);
+
+  const start = query.cursor ? ordered.findIndex((entry) => compare(entry, query.cursor) > 0) : 0;
+  const page = start === -1 ? [] : ordered.slice(start, start + query.limit);
+  const hasMore = start !== -1 && start + query.limit < ordered.length;
+  return {
+    videos: page.map((entry) => entry.video),
+    total: ordered.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].video, query.sort) : null,
+  };
+}
+
+/**
+ * GET /api/prompts のクエリ（q: プロンプトの部分一致、空白区切りはすべて含むもの / limit）を解釈する。
+ */
+function parsePromptHistoryQuery(searchParams) {
+  const errors = [];
+  let limit = DEFAULT_HISTORY_LIMIT;
+  if (searchParams.has('limit')) {
+    limit = Number(searchParams.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+      errors.push(fieldError('limit', 'invalid_format', `limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`));
+    }
+  }
+  const terms = (searchParams.get('q') || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return { query: { terms, limit }, errors };
+}
+
+/**
+ * 同じプロンプトのレコードを 1 件にまとめ、最後に使った順に返す。
+ * 各項目には最後に使ったレコードの設定（model / size / seconds / template）を付け、そのままフォームへ戻せるようにする。
+ */
+function listPromptHistory(records, query) {
+  const entries = new Map();
+  for (const video of records) {
+    const prompt = typeof video.prompt === 'string' ? video.prompt.trim() : '';
+    if (!prompt) {
+      continue;
+    }
+    const usedAt = Date.parse(video.createdAt) || 0;
+    const entry = entries.get(prompt);
+    if (entry) {
+      entry.count += 1;
+      if (usedAt <= entry.usedAt) {
+        continue;
+      }
+    }
+    entries.set(prompt, {
+      prompt,
+      count: entry ? entry.count : 1,
+      usedAt,
+      lastUsedAt: video.createdAt,
+      videoId: video.id,
+      model: video.model,
+      size: video.size ?? video.resolution,
+      seconds: video.seconds ?? video.durationSeconds,
+      ...(video.template ? { template: video.template } : {}),
+    });
+  }
+  const matched = Array.from(entries.values())
+    .filter((entry) => query.terms.every((term) => entry.prompt.toLowerCase().includes(term)))
+    .sort((a, b) => b.usedAt - a.usedAt);
+  return {
+    prompts: matched.slice(0, query.limit).map(({ usedAt, ...entry }) => entry),
+    total: matched.length,
+  };
+}
+
+module.exports = {
+  VIDEO_STATUSES,
+  parseVideoQuery,
+  queryVideos,
+  parsePromptHistoryQuery,
+  listPromptHistory,
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+const SECRET_PREFIX = 'whsec_';
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// whsec_ で始まる場合は base64 の鍵、それ以外は文字列そのものを鍵として使う
+function secretKey(secret) {
+  return secret.startsWith(SECRET_PREFIX)
+    ? Buffer.from(secret.slice(SECRET_PREFIX.length), 'base64')
+    : Buffer.from(secret, 'utf8');
+}
+
+function webhookError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Standard Webhooks 形式の署名（`v1,<base64>`）を作る。
+ * 署名対象は `<webhook-id>.<webhook-timestamp>.<本文>` の HMAC-SHA256。
+ */
+function signWebhook(secret, { id, timestamp, body }) {
+  const signature = crypto
+    .createHmac('sha256', secretKey(secret))
+    .update(`${id}.${timestamp}.`)
+    .update(body)
+    .digest('base64');
+  return `v1,${signature}`;
+}
+
+/**
+ * 受信した Webhook の署名・時刻を検証し、同じ webhook-id の再送（リプレイ）を拒否する。
+ * verify は検証済みのイベント（JSON）を返し、失敗時は code 付きの Error を投げる。
+ *   missing_headers / invalid_timestamp / invalid_signature / replayed / invalid_payload
+ * 処理済みの ID は許容時間の間だけ覚えておけば足りる（それより古いものは時刻で弾ける）。
+ */
+function createWebhookVerifier({ secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = () => Date.now() }) {
+  const key = secretKey(secret);
+  const seen = new Map();
+
+  function forgetExpired(nowSeconds) {
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt < nowSeconds) {
+        seen.delete(id);
+      }
+    }
+  }
+
+  function verify(headers, rawBody) {
+    const id = headers['webhook-id'];
+    const timestampText = headers['webhook-timestamp'];
+    const signatureHeader = headers['webhook-signature'];
+    if (!id || !timestampText || !signatureHeader) {
+      throw webhookError('missing_headers', 'webhook-id, webhook-timestamp and webhook-signature headers are required');
+    }
+    const timestamp = Number(timestampText);
+    const nowSeconds = Math.floor(now() / 1000);
+    if (!Number.isInteger(timestamp) || Math.abs(nowSeconds - timestamp) > toleranceSeconds) {
+      throw webhookError('invalid_timestamp', 'Webhook timestamp is missing or outside the allowed window');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', key)
+      .update(`${id}.${timestamp}.`)
+      .update(rawBody)
+      .digest();
+    // 鍵の入れ替え中は複数の署名が空白区切りで届くので、どれか 1 つが一致すればよい
+    const matched = signatureHeader.split(' ').some((entry) => {
+      const [version, signature] = entry.split(',');
+      if (version !== 'v1' || !signature) {
+        return false;
+      }
+      const actual = Buffer.from(signature, 'base64');
+      return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+    if (!matched) {
+      throw webhookError('invalid_signature', 'Webhook signature does not match');
+    }
+
+    forgetExpired(nowSeconds);
+    if (seen.has(id)) {
+      throw webhookError('replayed', `Webhook ${id} has already been processed`);
+    }
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      throw webhookError('invalid_payload', 'Webhook body is not valid JSON');
+    }
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      throw webhookError('invalid_payload', 'Webhook body must be a JSON object');
+    }
+    seen.set(id, timestamp + toleranceSeconds);
+    return event;
+  }
+
+  return { verify };
+}
+
+module.exports = { signWebhook, createWebhookVerifier };
@@ -1,31 +1,247 @@
+// サーバが返すエラーコード（プロバイダ由来の失敗・ジョブの失敗理由）の利用者向け文言
+const ERROR_CODE_MESSAGES = {
+  rate_limited: 'プロバイダの利用回数の上限に達しました。しばらく待ってから再試行してください。',
+  quota_exceeded: 'プロバイダの利用枠を使い切りました。契約内容を確認してください。',
+  provider_unavailable: 'プロバイダが一時的に利用できません。しばらく待ってから再試行してください。',
+  timeout: 'プロバイダからの応答がタイムアウトしました。',
+  network_error: 'プロバイダに接続できませんでした。',
+  circuit_open: 'プロバイダで障害が続いているため、呼び出しを一時停止しています。',
+  invalid_request: 'プロバイダがリクエストを受け付けませんでした。パラメータを確認してください。',
+  content_policy: 'コンテンツポリシーにより生成できませんでした。プロンプトや参照メディアを見直してください。',
+  provider_auth_failed: 'プロバイダの API キーが無効です。',
+  not_found: 'プロバイダ側に動画が見つかりません。',
+  not_configured: 'プロバイダが設定されていません。',
+  provider_error: 'プロバイダでエラーが発生しました。',
+  generation_failed: '動画の生成に失敗しました。',
+  stalled: '一定時間内に生成が終わらなかったため、確認を打ち切りました。',
+};
+
+function describeErrorCode(code, detail) {
+  const message = ERROR_CODE_MESSAGES[code];
+  if (!message) {
+    return detail || '';
+  }
+  return detail ? `${message}（${detail}）` : message;
+}
+
+function describeApiError(payload, fallbackMessage) {
+  if (!ERROR_CODE_MESSAGES[payload.code]) {
+    return payload.message || fallbackMessage;
+  }
+  const retryHint = payload.retryAfterSeconds ? `\n${payload.retryAfterSeconds} 秒ほど後に再試行できます。` : '';
+  return `${describeErrorCode(payload.code, payload.detail)}${retryHint}`;
+}
+
+async function readErrorMessage(response, fallbackMessage) {
+  const error = await response.json().catch(() => ({}));
+  return describeApiError(error, fallbackMessage);
+}
+
+// 検証エラー（{ field, code, message } の配列）を fieldErrors として Error に載せる
+async function readValidationError(response, fallbackMessage) {
+  const payload = await response.json().catch(() => ({}));
+  const error = new Error(describeApiError(payload, fallbackMessage));
+  error.fieldErrors = Array.isArray(payload.errors) ? payload.errors : [];
+  return error;
+}
+
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * 状態を変える要求には CSRF トークンを付ける。
+ * セッション切れ（401）の場合はログイン画面へ移動する。
+ */
+async function apiFetch(url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = { ...options.headers };
+  if (UNSAFE_METHODS.includes(method) && state.csrfToken) {
+    headers['X-CSRF-Token'] = state.csrfToken;
+  }
+  const response = await fetch(url, { ...options, headers });
+  if (response.status === 401) {
+    window.location.assign('/login');
+    throw new Error('ログインが必要です');
+  }
+  return response;
+}
+
 const api = {
+  async getSession() {
+    const response = await fetch('/api/session');
+    if (!response.ok) {
+      throw new Error('ログイン状態の確認に失敗しました');
+    }
+    return response.json();
+  },
+  async logout() {
+    const response = await apiFetch('/api/logout', { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, 'ログアウトに失敗しました'));
+    }
+    return response.json();
+  },
   async createVideo(formData) {
-    const response = await fetch('/api/videos', {
+    const response = await apiFetch('/api/videos', {
       method: 'POST',
       body: formData,
     });
     if (!response.ok) {
-      const error = await response.json().catch(() => ({ message: '不明なエラー' }));
-      throw new Error(error.message || '生成に失敗しました');
+      throw await readValidationError(response, '生成に失敗しました');
+    }
+    return response.json();
+  },
+  async listVideos(params = new URLSearchParams()) {
+    const response = await apiFetch(`/api/videos?${params}`);
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, '一覧の取得に失敗しました'));
+    }
+    return response.json();
+  },
+  async updateVideo(id, changes) {
+    const response = await apiFetch(`/api/videos/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes),
+    });
+    if (!response.ok) {
+      throw await readValidationError(response, '保存に失敗しました');
     }
     return response.json();
   },
-  async listVideos() {
-    const response = await fetch('/api/videos');
+  async listTags() {
+    const response = await apiFetch('/api/tags');
     if (!response.ok) {
-      throw new Error('一覧の取得に失敗しました');
+      throw new Error('タグ一覧の取得に失敗しました');
     }
     return response.json();
   },
   async getVideoStatus(id) {
-    const response = await fetch(`/api/videos/${id}/status`);
+    const response = await apiFetch(`/api/videos/${id}/status`);
     if (!response.ok) {
       throw new Error('ステータスの取得に失敗しました');
     }
     return response.json();
   },
+  async cancelVideo(id) {
+    const response = await apiFetch(`/api/videos/${id}/cancel`, { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, 'キャンセルに失敗しました'));
+    }
+    return response.json();
+  },
+  async deleteVideo(id) {
+    const response = await apiFetch(`/api/videos/${id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, '削除に失敗しました'));
+    }
+    return response.json();
+  },
+  async retryVideo(id) {
+    const response = await apiFetch(`/api/videos/${id}/retry`, { method: 'POST' });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, '再試行に失敗しました'));
+    }
+    return response.json();
+  },
+  async remixVideo(id, prompt) {
+    const response = await apiFetch(`/api/videos/${id}/remix`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt }),
+    });
+    if (!response.ok) {
+      throw await readValidationError(response, 'リミックスに失敗しました');
+    }
+    return response.json();
+  },
+  async createBatch({ csv, ...body }) {
+    const response = await apiFetch(
+      csv ? `/api/videos/batch?${new URLSearchParams({ name: body.name || '' })}` : '/api/videos/batch',
+      {
+        method: 'POST',
+        headers: { 'Content-Type': csv ? 'text/csv' : 'application/json' },
+        body: csv || JSON.stringify(body),
+      },
+    );
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      // 行ごとのエラーは「n 件目: ...」の形で並べる
+      const details = Array.isArray(error.errors)
+        ? error.errors.map((entry) => (
+          `${entry.index + 1} 件目: ${entry.errors.map((fieldError) => describeFieldError(fieldError)).join(' / ')}`
+        ))
+        : [];
+      throw new Error([error.message || '一括生成に失敗しました', ...details].join('\n'));
+    }
+    return response.json();
+  },
+  async importLibrary(file) {
+    const response = await apiFetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-tar' },
+      body: file,
+    });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, '取り込みに失敗しました'));
+    }
+    return response.json();
+  },
+  async listPrompts({ q = '', limit }) {
+    const response = await apiFetch(`/api/prompts?${new URLSearchParams({ q, limit: String(limit) })}`);
+    if (!response.ok) {
+      throw new Error('プロンプト履歴の取得に失敗しました');
+    }
+    return response.json();
+  },
+  async listTemplates() {
+    const response = await apiFetch('/api/templates');
+    if (!response.ok) {
+      throw new Error('テンプレート一覧の取得に失敗しました');
+    }
+    return response.json();
+  },
+  async createTemplate(template) {
+    const response = await apiFetch('/api/templates', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(template),
+    });
+    if (!response.ok) {
+      throw await readValidationError(response, 'テンプレートの保存に失敗しました');
+    }
+    return response.json();
+  },
+  async deleteTemplate(id) {
+    const response = await apiFetch(`/api/templates/${id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response, 'テンプレートの削除に失敗しました'));
+    }
+    return response.json();
+  },
+  async listBatches() {
+    const response = await apiFetch('/api/batches');
+    if (!response.ok) {
+      throw new Error('バッチ一覧の取得に失敗しました');
+    }
+    return response.json();
+  },
+  async getEstimate({ model, size, seconds }) {
+    const query = new URLSearchParams({ model, size, seconds });
+    const response = await apiFetch(`/api/estimate?${query}`);
+    if (!response.ok) {
+      throw new Error('コストの見積もりに失敗しました');
+    }
+    return response.json();
+  },
+  async getCapabilities() {
+    const response = await apiFetch('/api/capabilities');
+    if (!response.ok) {
+      throw new Error('生成オプションの取得に失敗しました');
+    }
+    return response.json();
+  },
   async hasApiKey() {
-    const response = await fetch('/api/settings');
+    const response = await apiFetch('/api/settings');
     if (!response.ok) {
       return { hasApiKey: false };
     }
@@ -33,30 +249,192 @@ const api = {
   },
 };
 
+const ACTIVE_STATUSES = ['pending_local', 'queued', 'in_progress'];
+const EVENT_TYPES = ['created', 'progress', 'completed', 'failed', 'stalled', 'cancelled', 'updated'];
+const EVENT_RECONNECT_DELAY_MS = 10000;
+const MAX_SPRITE_ROWS = 12;
+const VIDEO_STATUSES = ['pending_local', 'queued', 'in_progress', 'completed', 'failed', 'stalled', 'cancelled'];
+const LIST_PAGE_SIZE = 30;
+const SEARCH_DEBOUNCE_MS = 300;
+const BATCH_REFRESH_DELAY_MS = 1000;
+const AWAITING_STORAGE_KEY = 'sora.awaitingVideos';
+const MAX_AWAITING_VIDEOS = 200;
+const DRAFT_STORAGE_KEY = 'sora.formDraft';
+const HISTORY_LIMIT = 30;
+const SUGGESTION_LIMIT = 8;
+const MIN_SUGGESTION_QUERY_LENGTH = 2;
+const FINISHED_NOTIFICATION_TITLES = {
+  completed: '動画が完成しました',
+  failed: '動画の生成に失敗しました',
+  stalled: '動画の生成が応答しなくなりました',
+};
+
 const state = {
   videos: new Map(),
   pollingTimers: new Map(),
   currentVideoId: null,
+  eventSource: null,
+  eventsConnected: false,
+  lastEventId: null,
+  reconnectTimer: null,
+  spritesheets: new Map(),
+  thumbnailFailures: new Map(),
+  batches: new Map(),
+  batchFilter: null,
+  batchRefreshTimer: null,
+  capabilities: null,
+  csrfToken: null,
+  tags: [],
+  listFilters: null,
+  listGeneration: 0,
+  listLoading: false,
+  nextCursor: null,
+  totalVideos: 0,
+  searchTimer: null,
+  awaitingIds: loadAwaitingIds(),
+  referencePreviewUrl: null,
+  referenceDimensions: null,
+  templates: new Map(),
+  // テンプレートを選ぶ前に書いていたプロンプト（選択を外したら戻す）
+  promptDraft: null,
+  historyTimer: null,
+  suggestTimer: null,
+  suggestGeneration: 0,
+  suggestions: [],
+  suggestionIndex: -1,
 };
 
 const elements = {
   form: document.getElementById('video-form'),
   prompt: document.getElementById('prompt'),
+  promptSuggestions: document.getElementById('prompt-suggestions'),
+  historyPanel: document.getElementById('history-panel'),
+  historyQuery: document.getElementById('history-q'),
+  historyList: document.getElementById('history-list'),
+  historySummary: document.getElementById('history-summary'),
+  templateSelect: document.getElementById('template-select'),
+  templateSaveBtn: document.getElementById('template-save-btn'),
+  templateDeleteBtn: document.getElementById('template-delete-btn'),
+  templateHint: document.getElementById('template-hint'),
+  templateVariables: document.getElementById('template-variables'),
   model: document.getElementById('model'),
   size: document.getElementById('size'),
   seconds: document.getElementById('seconds'),
   inputReference: document.getElementById('input_reference'),
+  referenceHint: document.getElementById('reference-hint'),
+  referencePreview: document.getElementById('reference-preview'),
+  referencePreviewImage: document.getElementById('reference-preview-image'),
+  referencePreviewVideo: document.getElementById('reference-preview-video'),
+  referenceDimensions: document.getElementById('reference-dimensions'),
+  referenceSizeBtn: document.getElementById('reference-size-btn'),
   message: document.getElementById('form-message'),
   generateBtn: document.getElementById('generate-btn'),
   apiStatus: document.getElementById('api-status'),
+  costEstimate: document.getElementById('cost-estimate'),
   list: document.getElementById('video-list'),
+  listSummary: document.getElementById('list-summary'),
+  loadMore: document.getElementById('load-more'),
+  libraryFilters: document.getElementById('library-filters'),
+  filterQuery: document.getElementById('filter-q'),
+  filterStatus: document.getElementById('filter-status'),
+  filterModel: document.getElementById('filter-model'),
+  filterSize: document.getElementById('filter-size'),
+  filterTag: document.getElementById('filter-tag'),
+  filterFavorite: document.getElementById('filter-favorite'),
+  annotationForm: document.getElementById('annotation-form'),
+  annotationFavorite: document.getElementById('annotation-favorite'),
+  annotationRating: document.getElementById('annotation-rating'),
+  annotationTitle: document.getElementById('annotation-title'),
+  annotationTags: document.getElementById('annotation-tags'),
+  annotationNotes: document.getElementById('annotation-notes'),
+  annotationBtn: document.getElementById('annotation-btn'),
+  annotationStatus: document.getElementById('annotation-status'),
+  tagSuggestions: document.getElementById('tag-suggestions'),
   refreshBtn: document.getElementById('refresh-btn'),
+  importBtn: document.getElementById('import-btn'),
+  importFile: document.getElementById('import-file'),
+  logoutBtn: document.getElementById('logout-btn'),
   player: document.getElementById('video-player'),
   metadata: document.getElementById('video-metadata'),
   download: document.getElementById('download-container'),
+  remixForm: document.getElementById('remix-form'),
+  remixPrompt: document.getElementById('remix-prompt'),
+  remixBtn: document.getElementById('remix-btn'),
   cardTemplate: document.getElementById('video-card-template'),
+  batchForm: document.getElementById('batch-form'),
+  batchName: document.getElementById('batch-name'),
+  batchPrompts: document.getElementById('batch-prompts'),
+  batchModels: document.getElementById('batch-models'),
+  batchSizes: document.getElementById('batch-sizes'),
+  batchSeconds: document.getElementById('batch-seconds'),
+  batchCsv: document.getElementById('batch-csv'),
+  batchBtn: document.getElementById('batch-btn'),
+  batchCount: document.getElementById('batch-count'),
+  batchList: document.getElementById('batch-list'),
+  batchFilter: document.getElementById('batch-filter'),
+  batchFilterLabel: document.getElementById('batch-filter-label'),
+  batchFilterClear: document.getElementById('batch-filter-clear'),
+};
+
+const FIELD_ERROR_LABELS = {
+  required: '入力してください',
+  too_long: '長すぎます',
+  blocked_term: '使用できない語句が含まれています',
+  unsupported: 'この組み合わせは選択できません',
+  invalid_format: '形式が正しくありません',
+  empty: 'ファイルが空です',
+  too_large: 'ファイルが大きすぎます',
+  unsupported_type: '対応していないファイル形式です',
+  dimension_mismatch: '解像度と縦横のサイズが一致しません',
+  not_found: '見つかりません',
 };
 
+function describeFieldError(fieldError) {
+  const label = FIELD_ERROR_LABELS[fieldError.code];
+  return label ? `${label}（${fieldError.message}）` : fieldError.message;
+}
+
+function clearFieldErrors(scope = elements.form) {
+  for (const slot of scope.querySelectorAll('.field-error')) {
+    slot.textContent = '';
+    slot.hidden = true;
+  }
+  for (const control of scope.querySelectorAll('[aria-invalid]')) {
+    control.removeAttribute('aria-invalid');
+  }
+}
+
+function addFieldError(fieldError, scope = elements.form) {
+  const slot = scope.querySelector(`.field-error[data-error-for="${fieldError.field}"]`);
+  if (!slot) {
+    return false;
+  }
+  slot.textContent = slot.textContent
+    ? `${slot.textContent}\n${describeFieldError(fieldError)}`
+    : describeFieldError(fieldError);
+  slot.hidden = false;
+  const control = scope.querySelector(`[name="${fieldError.field}"]`);
+  if (control) {
+    control.setAttribute('aria-invalid', 'true');
+  }
+  return true;
+}
+
+// 対応する入力欄があるエラーはその横に出し、残りは返してフォーム全体のメッセージに回す
+function showFieldErrors(fieldErrors, scope = elements.form) {
+  clearFieldErrors(scope);
+  return fieldErrors.filter((fieldError) => !addFieldError(fieldError, scope));
+}
+
+function clearFieldError(control) {
+  const slot = control.closest('.field')?.querySelector('.field-error');
+  if (slot) {
+    slot.textContent = '';
+    slot.hidden = true;
+  }
+  control.removeAttribute('aria-invalid');
+}
+
 function setMessage(text, type = '') {
   elements.message.textContent = text;
   elements.message.className = 'form-message';
@@ -74,8 +452,21 @@ function createMetadataList(video) {
     ['解像度', video.size ?? video.resolution],
     ['長さ', `${video.seconds ?? video.durationSeconds ?? '-'} 秒`],
     ['ステータス', translateStatus(video.status)],
+    ...(video.status === 'pending_local' ? [['待機順', `${video.queuePosition ?? '-'} 番目`]] : []),
     ['進捗', `${Math.round(progressValue * 100) / 100}%`],
     ['参照メディア', video.input_reference ? 'あり' : 'なし'],
+    ...(video.template ? [['テンプレート', describeTemplateUse(video.template)]] : []),
+    ...(video.retryOf ? [['再試行元', video.retryOf]] : []),
+    ...(video.batchId && state.batches.has(video.batchId)
+      ? [['バッチ', state.batches.get(video.batchId).name]]
+      : []),
+    ...(hasLineage(video) ? [['系譜', createLineageView(video)]] : []),
+    ...(video.errorMessage ? [['エラー', describeErrorCode(video.errorCode, video.errorMessage)]] : []),
+    ...(video.lastError && ACTIVE_STATUSES.includes(video.status)
+      ? [['一時的なエラー', describeErrorCode(video.lastErrorCode, video.lastError)]]
+      : []),
+    ['推定コスト', formatUsd(video.costEstimateUsd)],
+    ...(video.annotatedAt ? [['メモ更新', new Date(video.annotatedAt).toLocaleString()]] : []),
     ['生成開始', new Date(video.createdAt).toLocaleString()],
     ['最終更新', new Date(video.updatedAt).toLocaleString()],
   ];
@@ -84,15 +475,89 @@ function createMetadataList(video) {
     const dt = document.createElement('dt');
     dt.textContent = label;
     const dd = document.createElement('dd');
-    dd.textContent = value;
+    if (value instanceof Node) {
+      dd.appendChild(value);
+    } else {
+      dd.textContent = value;
+    }
     dl.appendChild(dt);
     dl.appendChild(dd);
   }
   return dl;
 }
 
+function describeTemplateUse(template) {
+  const values = Object.entries(template.values || {}).map(([name, value]) => `${name}=${value}`);
+  return values.length > 0 ? `${template.name}（${values.join(', ')}）` : template.name;
+}
+
+function shortPrompt(prompt, length = 32) {
+  return prompt.slice(0, length) + (prompt.length > length ? '…' : '');
+}
+
+function remixChildren(video) {
+  return Array.from(state.videos.values())
+    .filter((candidate) => candidate.remixOf === video.id)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function hasLineage(video) {
+  return Boolean(video.remixOf) || remixChildren(video).length > 0;
+}
+
+function createLineageItem(video, label, isCurrent = false) {
+  const item = document.createElement('li');
+  const caption = document.createElement('span');
+  caption.className = 'lineage-label';
+  caption.textContent = label;
+  item.appendChild(caption);
+  if (isCurrent) {
+    const current = document.createElement('strong');
+    current.textContent = shortPrompt(video.prompt);
+    item.appendChild(current);
+    return item;
+  }
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.className = 'link-btn';
+  link.textContent = `${shortPrompt(video.prompt)}（${translateStatus(video.status)}）`;
+  link.disabled = video.status !== 'completed';
+  link.addEventListener('click', () => loadVideo(video.id));
+  item.appendChild(link);
+  return item;
+}
+
+// 元動画 → … → 表示中の動画 → 派生リミックス の順に並べる
+function createLineageView(video) {
+  const list = document.createElement('ol');
+  list.className = 'lineage';
+  const ancestors = [];
+  const seen = new Set([video.id]);
+  let parentId = video.remixOf;
+  while (parentId && !seen.has(parentId)) {
+    seen.add(parentId);
+    const parent = state.videos.get(parentId);
+    if (!parent) {
+      const missing = document.createElement('li');
+      missing.textContent = `元動画 ${parentId}（削除済み）`;
+      ancestors.unshift(missing);
+      break;
+    }
+    ancestors.unshift(createLineageItem(parent, '元'));
+    parentId = parent.remixOf;
+  }
+  ancestors.forEach((item) => list.appendChild(item));
+  list.appendChild(createLineageItem(video, '表示中', true));
+  for (const child of remixChildren(video)) {
+    list.appendChild(createLineageItem(child, 'リミックス'));
+  }
+  return list;
+}
+
 function translateStatus(status) {
   switch (status) {
+    case 'pending_local':
+      return 'ローカル待機中';
     case 'queued':
       return 'キュー待ち';
     case 'processing':
@@ -102,11 +567,22 @@ function translateStatus(status) {
       return '完了';
     case 'failed':
       return '失敗';
+    case 'stalled':
+      return '応答なし';
+    case 'cancelled':
+      return 'キャンセル済み';
     default:
       return status;
   }
 }
 
+function formatUsd(value) {
+  if (typeof value !== 'number') {
+    return '-';
+  }
+  return `$${value.toFixed(2)}`;
+}
+
 function formatProgress(progress) {
   if (progress === null || progress === undefined) {
     return 0;
@@ -117,57 +593,424 @@ function formatProgress(progress) {
   return progress;
 }
 
-function renderVideos() {
-  elements.list.innerHTML = '';
-  const sorted = Array.from(state.videos.values()).sort(
+function contentUrl(id, variant = 'video') {
+  const base = `/api/videos/${id}/content`;
+  return variant === 'video' ? base : `${base}?variant=${variant}`;
+}
+
+function aspectRatioOf(video) {
+  const [width, height] = String(video.size ?? video.resolution ?? '').split('x').map(Number);
+  return width > 0 && height > 0 ? width / height : 16 / 9;
+}
+
+// スプライトシートの列数・行数は画像サイズと動画のアスペクト比から推定する
+function detectSpriteGrid(width, height, aspect) {
+  let best = null;
+  for (let rows = 1; rows <= MAX_SPRITE_ROWS; rows += 1) {
+    const columns = width / ((height / rows) * aspect);
+    const rounded = Math.round(columns);
+    if (rounded < 1) {
+      continue;
+    }
+    const error = Math.abs(columns - rounded) / rounded;
+    if (!best || error < best.error - 0.01) {
+      best = { rows, columns: rounded, error };
+    }
+  }
+  return best;
+}
+
+// 読み込めなかったサムネイル・スプライトは、レコード（更新日時や assets）が変わるまで取り直さない
+function assetVersion(video) {
+  return `${video.updatedAt}:${JSON.stringify(video.assets || {})}`;
+}
+
+function loadSpritesheet(video) {
+  const url = contentUrl(video.id, 'spritesheet');
+  const cached = state.spritesheets.get(url);
+  if (cached && (cached.loaded || cached.version === assetVersion(video))) {
+    return cached.promise;
+  }
+  const entry = { version: assetVersion(video), loaded: false };
+  entry.promise = new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => {
+      entry.loaded = true;
+      const grid = detectSpriteGrid(image.naturalWidth, image.naturalHeight, aspectRatioOf(video));
+      resolve(grid ? { url, ...grid } : null);
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+  state.spritesheets.set(url, entry);
+  return entry.promise;
+}
+
+function setupThumbnail(card, video) {
+  const thumb = card.querySelector('.video-thumb');
+  const image = card.querySelector('.thumbnail');
+  const preview = card.querySelector('.sprite-preview');
+  const version = assetVersion(video);
+  if (video.status !== 'completed' || state.thumbnailFailures.get(video.id) === version) {
+    thumb.hidden = true;
+    return;
+  }
+  thumb.hidden = false;
+  // 縦長動画はカードが伸びすぎないよう高さ 220px 相当の幅に抑える
+  const aspect = aspectRatioOf(video);
+  thumb.style.aspectRatio = String(aspect);
+  thumb.style.maxWidth = aspect < 1 ? `${Math.round(220 * aspect)}px` : '';
+  image.src = contentUrl(video.id, 'thumbnail');
+  image.alt = video.prompt;
+  image.addEventListener('error', () => {
+    thumb.hidden = true;
+    state.thumbnailFailures.set(video.id, version);
+  });
+  thumb.addEventListener('click', () => loadVideo(video.id));
+
+  let sprite = null;
+  thumb.addEventListener('mouseenter', async () => {
+    sprite = await loadSpritesheet(video);
+    if (sprite) {
+      preview.style.backgroundImage = `url("${sprite.url}")`;
+      preview.style.backgroundSize = `${sprite.columns * 100}% ${sprite.rows * 100}%`;
+    }
+  });
+  thumb.addEventListener('mousemove', (event) => {
+    if (!sprite) {
+      return;
+    }
+    const rect = thumb.getBoundingClientRect();
+    const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 0.9999);
+    const frame = Math.floor(ratio * sprite.columns * sprite.rows);
+    const column = frame % sprite.columns;
+    const row = Math.floor(frame / sprite.columns);
+    const x = sprite.columns > 1 ? (column / (sprite.columns - 1)) * 100 : 0;
+    const y = sprite.rows > 1 ? (row / (sprite.rows - 1)) * 100 : 0;
+    preview.style.backgroundPosition = `${x}% ${y}%`;
+    thumb.classList.add('scrubbing');
+  });
+  thumb.addEventListener('mouseleave', () => {
+    thumb.classList.remove('scrubbing');
+  });
+}
+
+// バッチの集計（total / counts / progress / done）はサーバが子の動画から計算したものを使う。
+// 一覧はページ単位でしか読み込まないため、手元の動画だけでは数えられない
+function scheduleBatchRefresh() {
+  if (state.batchRefreshTimer) {
+    return;
+  }
+  state.batchRefreshTimer = setTimeout(async () => {
+    state.batchRefreshTimer = null;
+    try {
+      const { batches } = await api.listBatches();
+      state.batches = new Map(batches.map((batch) => [batch.id, batch]));
+      renderBatches();
+    } catch (error) {
+      console.error(error);
+    }
+  }, BATCH_REFRESH_DELAY_MS);
+}
+
+function renderBatches() {
+  elements.batchList.innerHTML = '';
+  const sorted = Array.from(state.batches.values()).sort(
     (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
   );
+  for (const batch of sorted) {
+    if (batch.total === 0) {
+      continue;
+    }
+    const item = document.createElement('div');
+    item.className = 'batch-item';
+    item.classList.toggle('done', batch.done);
+    item.classList.toggle('active', state.batchFilter === batch.id);
+
+    const heading = document.createElement('div');
+    heading.className = 'batch-heading';
+    const name = document.createElement('strong');
+    name.textContent = batch.name;
+    const counts = document.createElement('span');
+    counts.className = 'batch-counts';
+    const parts = [`${batch.counts.completed || 0} / ${batch.total} 完了`];
+    for (const status of ['failed', 'stalled', 'cancelled', 'in_progress', 'queued', 'pending_local']) {
+      if (batch.counts[status]) {
+        parts.push(`${translateStatus(status)} ${batch.counts[status]}`);
+      }
+    }
+    counts.textContent = parts.join(' · ');
+    heading.append(name, counts);
+
+    const bar = document.createElement('progress');
+    bar.max = 100;
+    bar.value = batch.progress;
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'link-btn';
+    open.textContent = state.batchFilter === batch.id ? '表示中' : '結果をまとめて表示';
+    open.disabled = state.batchFilter === batch.id;
+    open.addEventListener('click', () => setBatchFilter(batch.id));
+
+    item.append(heading, bar, open);
+    elements.batchList.appendChild(item);
+  }
+
+  const filtered = state.batchFilter && state.batches.get(state.batchFilter);
+  elements.batchFilter.hidden = !filtered;
+  if (filtered) {
+    elements.batchFilterLabel.textContent = `バッチ「${filtered.name}」の ${filtered.total} 件を表示中`;
+  }
+}
+
+async function setBatchFilter(batchId) {
+  state.batchFilter = batchId;
+  renderBatches();
+  await loadVideos();
+  // バッチ内で最初に完了した動画をプレイヤーに出しておく
+  const batch = batchId && state.batches.get(batchId);
+  const firstCompleted = batch && batch.videoIds
+    .map((id) => state.videos.get(id))
+    .find((video) => video && video.status === 'completed');
+  if (firstCompleted) {
+    loadVideo(firstCompleted.id);
+  }
+}
+
+function readListFilters() {
+  const controls = elements.libraryFilters.elements;
+  const [sort, order] = controls.sort.value.split(':');
+  // 日付欄はローカル時刻の日付なので、開始日の 0 時から終了日の翌日 0 時までに直す
+  const since = controls.since.value ? new Date(`${controls.since.value}T00:00`) : null;
+  let until = null;
+  if (controls.until.value) {
+    until = new Date(`${controls.until.value}T00:00`);
+    until.setDate(until.getDate() + 1);
+  }
+  return {
+    q: controls.q.value.trim(),
+    status: controls.status.value,
+    model: controls.model.value,
+    size: controls.size.value,
+    tag: controls.tag.value,
+    favorite: controls.favorite.checked,
+    since,
+    until,
+    sort,
+    order,
+  };
+}
+
+function listQueryParams(filters, cursor) {
+  const params = new URLSearchParams({ sort: filters.sort, order: filters.order, limit: String(LIST_PAGE_SIZE) });
+  for (const key of ['q', 'status', 'model', 'size', 'tag']) {
+    if (filters[key]) {
+      params.set(key, filters[key]);
+    }
+  }
+  if (filters.favorite) {
+    params.set('favorite', 'true');
+  }
+  if (filters.since) {
+    params.set('since', filters.since.toISOString());
+  }
+  if (filters.until) {
+    params.set('until', filters.until.toISOString());
+  }
+  if (state.batchFilter) {
+    params.set('batchId', state.batchFilter);
+  }
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  return params;
+}
+
+function hasListFilters(filters = state.listFilters) {
+  return Boolean(
+    state.batchFilter || filters.q || filters.status || filters.model || filters.size || filters.tag
+      || filters.favorite || filters.since || filters.until,
+  );
+}
+
+// SSE で届いた動画にもサーバ（lib/video-query.js）と同じ条件を当てる
+function matchesListFilters(video, filters = state.listFilters) {
+  if (state.batchFilter && video.batchId !== state.batchFilter) {
+    return false;
+  }
+  if (filters.status && video.status !== filters.status) {
+    return false;
+  }
+  if (filters.model && video.model !== filters.model) {
+    return false;
+  }
+  if (filters.size && (video.size ?? video.resolution) !== filters.size) {
+    return false;
+  }
+  if (filters.favorite && !video.favorite) {
+    return false;
+  }
+  if (filters.tag && !(video.tags || []).some((tag) => tag.toLowerCase() === filters.tag.toLowerCase())) {
+    return false;
+  }
+  const createdAt = new Date(video.createdAt);
+  if ((filters.since && createdAt < filters.since) || (filters.until && createdAt >= filters.until)) {
+    return false;
+  }
+  const text = [video.prompt, video.title, video.notes, ...(video.tags || [])].filter(Boolean).join('\n').toLowerCase();
+  return filters.q.toLowerCase().split(/\s+/).filter(Boolean).every((term) => text.includes(term));
+}
+
+const LIST_SORT_KEYS = {
+  createdAt: (video) => Date.parse(video.createdAt) || 0,
+  updatedAt: (video) => Date.parse(video.updatedAt || video.createdAt) || 0,
+  cost: (video) => (typeof video.costEstimateUsd === 'number' ? video.costEstimateUsd : -1),
+};
+
+// サーバと同じ並び順（値が同じなら id 順）
+function compareVideos(a, b) {
+  const { sort, order } = state.listFilters;
+  const direction = order === 'asc' ? 1 : -1;
+  const diff = LIST_SORT_KEYS[sort](a) - LIST_SORT_KEYS[sort](b);
+  if (diff !== 0) {
+    return diff * direction;
+  }
+  return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * direction;
+}
+
+function visibleVideos() {
+  return Array.from(state.videos.values())
+    .filter((video) => matchesListFilters(video))
+    .sort(compareVideos);
+}
+
+function renderListSummary(shown) {
+  const total = state.nextCursor ? Math.max(state.totalVideos, shown) : shown;
+  elements.listSummary.textContent = shown < total ? `全 ${total} 件中 ${shown} 件を表示` : `全 ${total} 件`;
+}
+
+function renderVideos() {
+  elements.list.innerHTML = '';
+  const sorted = visibleVideos();
+  renderListSummary(sorted.length);
   if (sorted.length === 0) {
     const empty = document.createElement('p');
-    empty.textContent = 'まだ生成された動画はありません。フォームから作成しましょう。';
+    empty.textContent = hasListFilters()
+      ? '条件に一致する動画はありません。'
+      : 'まだ生成された動画はありません。フォームから作成しましょう。';
     empty.className = 'empty';
     elements.list.appendChild(empty);
-    return;
   }
-
   for (const video of sorted) {
-    const clone = elements.cardTemplate.content.firstElementChild.cloneNode(true);
-    clone.dataset.videoId = video.id;
-    const statusIndicator = clone.querySelector('.status-indicator');
-    const statusText = clone.querySelector('.status-text');
-    const timestamp = clone.querySelector('.timestamp');
-    const title = clone.querySelector('.video-title');
-    const meta = clone.querySelector('.video-meta');
-    const playBtn = clone.querySelector('.play-btn');
-
-    clone.classList.remove('queued', 'processing', 'in_progress', 'completed', 'failed');
-    clone.classList.add(video.status);
-
-    statusIndicator.title = translateStatus(video.status);
-    const progressValue = formatProgress(video.progress);
-    statusText.textContent = `${translateStatus(video.status)} / ${progressValue.toFixed(0)}%`;
-    timestamp.dateTime = video.createdAt;
-    timestamp.textContent = new Date(video.createdAt).toLocaleString();
+    elements.list.appendChild(createVideoCard(video));
+  }
+  // 末尾の「さらに読み込む」が見えたら次のページを読み込む
+  elements.loadMore.hidden = !state.nextCursor;
+  elements.list.appendChild(elements.loadMore);
+}
 
-    title.textContent = video.prompt.slice(0, 48) + (video.prompt.length > 48 ? '…' : '');
-    meta.textContent = `${video.model} · ${(video.size ?? video.resolution) || '-'} · ${(video.seconds ?? video.durationSeconds) || '-'}秒`;
+function createVideoCard(video) {
+  const clone = elements.cardTemplate.content.firstElementChild.cloneNode(true);
+  clone.dataset.videoId = video.id;
+  const statusIndicator = clone.querySelector('.status-indicator');
+  const statusText = clone.querySelector('.status-text');
+  const timestamp = clone.querySelector('.timestamp');
+  const title = clone.querySelector('.video-title');
+  const meta = clone.querySelector('.video-meta');
+  const errorText = clone.querySelector('.video-error');
+  const tagList = clone.querySelector('.video-tags');
+  const favoriteBtn = clone.querySelector('.favorite-btn');
+  const playBtn = clone.querySelector('.play-btn');
+  const cancelBtn = clone.querySelector('.cancel-btn');
+  const retryBtn = clone.querySelector('.retry-btn');
+  const deleteBtn = clone.querySelector('.delete-btn');
+  const reuseBtn = clone.querySelector('.reuse-btn');
 
-    if (video.status !== 'completed') {
-      playBtn.disabled = true;
-      playBtn.textContent = '準備中';
-    } else {
-      playBtn.disabled = false;
-      playBtn.textContent = '再生';
-      playBtn.addEventListener('click', () => loadVideo(video.id));
-    }
+  clone.classList.remove(
+    'pending_local', 'queued', 'processing', 'in_progress', 'completed', 'failed', 'stalled', 'cancelled',
+  );
+  clone.classList.add(video.status);
+  setupThumbnail(clone, video);
 
-    if (video.status === 'failed') {
-      playBtn.textContent = '失敗';
-      playBtn.disabled = true;
-    }
+  statusIndicator.title = translateStatus(video.status);
+  const progressValue = formatProgress(video.progress);
+  if (video.status === 'pending_local') {
+    statusText.textContent = `${translateStatus(video.status)} #${video.queuePosition ?? '-'}`;
+  } else {
+    statusText.textContent = `${translateStatus(video.status)} / ${progressValue.toFixed(0)}%`;
+  }
+  timestamp.dateTime = video.createdAt;
+  timestamp.textContent = new Date(video.createdAt).toLocaleString();
+
+  title.textContent = video.title || shortPrompt(video.prompt, 48);
+  if (video.title) {
+    title.title = video.prompt;
+  }
+  if (video.remixOf) {
+    title.textContent = `↻ ${title.textContent}`;
+  }
+  favoriteBtn.textContent = video.favorite ? '★' : '☆';
+  favoriteBtn.setAttribute('aria-pressed', String(Boolean(video.favorite)));
+  favoriteBtn.addEventListener('click', () => handleFavoriteToggle(video.id));
+  meta.textContent = `${video.model} · ${(video.size ?? video.resolution) || '-'} · ${(video.seconds ?? video.durationSeconds) || '-'}秒`;
+  const batch = video.batchId && state.batches.get(video.batchId);
+  if (batch) {
+    meta.textContent += ` · ${batch.name}`;
+  }
+  if (typeof video.costEstimateUsd === 'number') {
+    meta.textContent += ` · 約 ${formatUsd(video.costEstimateUsd)}`;
+  }
+  if (video.rating) {
+    meta.textContent += ` · ${formatRating(video.rating)}`;
+  }
+  for (const tag of video.tags || []) {
+    const item = document.createElement('li');
+    item.textContent = tag;
+    tagList.appendChild(item);
+  }
+  tagList.hidden = !video.tags || video.tags.length === 0;
+  if (['failed', 'stalled'].includes(video.status) && (video.errorCode || video.errorMessage)) {
+    errorText.textContent = describeErrorCode(video.errorCode || 'generation_failed');
+    errorText.title = video.errorMessage || '';
+    errorText.hidden = false;
+  } else if (video.lastError && ACTIVE_STATUSES.includes(video.status)) {
+    // ポーリングの一時的な失敗。サーバ側で間隔を空けて確認を続けている
+    errorText.textContent = `${describeErrorCode(video.lastErrorCode || 'provider_error')} 確認を続けています。`;
+    errorText.classList.add('transient');
+    errorText.hidden = false;
+  }
+
+  if (video.status !== 'completed') {
+    playBtn.disabled = true;
+    playBtn.textContent = '準備中';
+  } else {
+    playBtn.disabled = false;
+    playBtn.textContent = '再生';
+    playBtn.addEventListener('click', () => loadVideo(video.id));
+  }
 
-    elements.list.appendChild(clone);
+  if (video.status === 'failed') {
+    playBtn.textContent = '失敗';
+    playBtn.disabled = true;
+  }
+  if (video.status === 'stalled') {
+    playBtn.textContent = '応答なし';
+    playBtn.disabled = true;
   }
+  if (video.status === 'cancelled') {
+    playBtn.textContent = '中止';
+    playBtn.disabled = true;
+  }
+
+  cancelBtn.hidden = !ACTIVE_STATUSES.includes(video.status);
+  cancelBtn.addEventListener('click', () => handleCancel(video.id));
+  retryBtn.hidden = !['failed', 'stalled', 'cancelled'].includes(video.status);
+  retryBtn.addEventListener('click', () => handleRetry(video.id));
+  deleteBtn.addEventListener('click', () => handleDelete(video.id));
+  reuseBtn.addEventListener('click', () => useVideoSettings(video));
+
+  return clone;
 }
 
 function updatePlayer(video) {
@@ -176,10 +1019,13 @@ function updatePlayer(video) {
     elements.player.load();
     elements.metadata.innerHTML = '';
     elements.download.innerHTML = '';
+    elements.remixForm.hidden = true;
+    elements.annotationForm.hidden = true;
+    delete elements.annotationForm.dataset.videoId;
     return;
   }
 
-  const url = `/api/videos/${video.id}/content`;
+  const url = contentUrl(video.id);
   elements.player.src = url;
   elements.player.load();
   elements.metadata.innerHTML = '';
@@ -189,33 +1035,344 @@ function updatePlayer(video) {
   downloadLink.href = url;
   downloadLink.download = `${video.id}.mp4`;
   downloadLink.textContent = '動画をダウンロード';
+  const reuseBtn = document.createElement('button');
+  reuseBtn.type = 'button';
+  reuseBtn.className = 'link-btn';
+  reuseBtn.textContent = 'この設定を使う';
+  reuseBtn.addEventListener('click', () => useVideoSettings(video));
   elements.download.innerHTML = '';
-  elements.download.appendChild(downloadLink);
+  elements.download.append(downloadLink, reuseBtn);
+
+  const canRemix = video.status === 'completed';
+  if (elements.remixForm.hidden && canRemix) {
+    elements.remixPrompt.value = video.prompt;
+  }
+  elements.remixForm.hidden = !canRemix;
+  fillAnnotationForm(video);
+}
+
+// 入力途中の内容を進捗の通知で消さないよう、別の動画を開いたときと保存内容が変わったときだけ書き戻す
+function fillAnnotationForm(video) {
+  const form = elements.annotationForm;
+  form.hidden = false;
+  if (form.dataset.videoId === video.id && form.dataset.annotatedAt === (video.annotatedAt || '')) {
+    return;
+  }
+  form.dataset.videoId = video.id;
+  form.dataset.annotatedAt = video.annotatedAt || '';
+  clearFieldErrors(form);
+  elements.annotationTitle.value = video.title || '';
+  elements.annotationTags.value = (video.tags || []).join(', ');
+  elements.annotationFavorite.checked = Boolean(video.favorite);
+  elements.annotationRating.value = video.rating ? String(video.rating) : '';
+  elements.annotationNotes.value = video.notes || '';
+  elements.annotationStatus.textContent = video.annotatedAt
+    ? `最終保存: ${new Date(video.annotatedAt).toLocaleString()}`
+    : '';
 }
 
 async function loadVideo(id) {
   const record = state.videos.get(id);
   if (!record) return;
+  if (state.currentVideoId !== id) {
+    elements.remixPrompt.value = record.prompt;
+  }
   state.currentVideoId = id;
   updatePlayer(record);
 }
 
-async function refreshStatus(id) {
-  try {
-    const { video } = await api.getVideoStatus(id);
-    state.videos.set(video.id, video);
-    renderVideos();
-    if (state.currentVideoId === video.id) {
-      updatePlayer(video);
-    }
-    if (['queued', 'in_progress'].includes(video.status)) {
-      schedulePolling(id);
-    } else {
-      stopPolling(id);
-    }
-  } catch (error) {
-    console.error(error);
-  }
+function formatRating(rating) {
+  return `${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}`;
+}
+
+async function handleAnnotationSubmit(event) {
+  event.preventDefault();
+  const id = state.currentVideoId;
+  if (!id) {
+    return;
+  }
+  elements.annotationBtn.disabled = true;
+  try {
+    const { video } = await api.updateVideo(id, {
+      title: elements.annotationTitle.value,
+      tags: elements.annotationTags.value,
+      favorite: elements.annotationFavorite.checked,
+      rating: elements.annotationRating.value ? Number(elements.annotationRating.value) : null,
+      notes: elements.annotationNotes.value,
+    });
+    applyVideoUpdate(video);
+    loadTags();
+  } catch (error) {
+    console.error(error);
+    const unmatched = showFieldErrors(error.fieldErrors || [], elements.annotationForm);
+    const details = unmatched.map((fieldError) => describeFieldError(fieldError));
+    const summary = error.fieldErrors && error.fieldErrors.length > unmatched.length
+      ? '入力内容を確認してください。'
+      : error.message;
+    elements.annotationStatus.textContent = [summary, ...details].join(' ');
+  } finally {
+    elements.annotationBtn.disabled = false;
+  }
+}
+
+async function handleFavoriteToggle(id) {
+  const video = state.videos.get(id);
+  if (!video) {
+    return;
+  }
+  try {
+    const { video: updated } = await api.updateVideo(id, { favorite: !video.favorite });
+    applyVideoUpdate(updated);
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+}
+
+// 絞り込みの選択肢とタグ入力の候補を、付いているタグの一覧から作る
+async function loadTags() {
+  try {
+    const { tags } = await api.listTags();
+    state.tags = tags;
+    fillFilterOptions(elements.filterTag, tags.map((entry) => entry.tag), (tag) => {
+      const entry = tags.find((candidate) => candidate.tag === tag);
+      return `${tag}（${entry.count}）`;
+    });
+    elements.tagSuggestions.innerHTML = '';
+    for (const { tag } of tags) {
+      const option = document.createElement('option');
+      option.value = tag;
+      elements.tagSuggestions.appendChild(option);
+    }
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function handleRemixSubmit(event) {
+  event.preventDefault();
+  requestNotificationPermission();
+  const sourceId = state.currentVideoId;
+  if (!sourceId) {
+    return;
+  }
+  elements.remixBtn.disabled = true;
+  try {
+    const { videoId, video } = await api.remixVideo(sourceId, elements.remixPrompt.value);
+    awaitCompletion([videoId]);
+    applyVideoUpdate(video);
+    watchVideo(videoId);
+    const source = state.videos.get(sourceId);
+    if (source && state.currentVideoId === sourceId) {
+      elements.metadata.innerHTML = '';
+      elements.metadata.appendChild(createMetadataList(source));
+    }
+    setMessage('リミックスを開始しました。一覧で進捗を確認できます。', 'success');
+  } catch (error) {
+    console.error(error);
+    const details = (error.fieldErrors || []).map((fieldError) => describeFieldError(fieldError));
+    setMessage([error.message, ...details].join('\n'), 'error');
+  } finally {
+    elements.remixBtn.disabled = false;
+  }
+}
+
+function removeVideo(id) {
+  stopPolling(id);
+  if (state.videos.delete(id)) {
+    state.totalVideos = Math.max(state.totalVideos - 1, 0);
+  }
+  renderVideos();
+  if (state.currentVideoId === id) {
+    state.currentVideoId = null;
+    updatePlayer(null);
+  }
+}
+
+async function handleCancel(id) {
+  try {
+    const { video } = await api.cancelVideo(id);
+    stopPolling(id);
+    applyVideoUpdate(video);
+    setMessage('生成ジョブをキャンセルしました。', 'success');
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+}
+
+async function handleRetry(id) {
+  requestNotificationPermission();
+  try {
+    const { videoId, video } = await api.retryVideo(id);
+    awaitCompletion([videoId]);
+    applyVideoUpdate(video);
+    watchVideo(videoId);
+    setMessage('同じ設定で再試行しました。', 'success');
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+}
+
+async function handleDelete(id) {
+  if (!window.confirm('この動画を削除しますか？キャッシュ済みの動画も削除されます。')) {
+    return;
+  }
+  try {
+    await api.deleteVideo(id);
+    removeVideo(id);
+    setMessage('動画を削除しました。', 'success');
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+}
+
+const IMPORT_CONFLICT_LABELS = {
+  duplicate: '取り込み済み',
+  id_conflict: 'ID が重複',
+  not_submitted: '未送信',
+  invalid_record: '不正なレコード',
+};
+
+async function handleImportFile() {
+  const [file] = elements.importFile.files;
+  elements.importFile.value = '';
+  if (!file) {
+    return;
+  }
+  elements.importBtn.disabled = true;
+  setMessage(`${file.name} を取り込み中…`);
+  try {
+    const result = await api.importLibrary(file);
+    const skipped = {};
+    for (const conflict of result.conflicts) {
+      skipped[conflict.reason] = (skipped[conflict.reason] || 0) + 1;
+    }
+    const skippedText = Object.entries(skipped)
+      .map(([reason, count]) => `${IMPORT_CONFLICT_LABELS[reason] || reason} ${count} 件`)
+      .join(' / ');
+    setMessage([
+      `${result.imported} 件の動画を取り込みました（動画ファイル ${result.media} 件）。`,
+      ...(skippedText ? [`スキップ: ${skippedText}`] : []),
+    ].join('\n'), 'success');
+    loadTags();
+    await refreshList();
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  } finally {
+    elements.importBtn.disabled = false;
+  }
+}
+
+// まだ読み込んでいないページに入るはずの動画は、スクロールしてそのページを読み込んだときに表示する
+function belongsToLoadedPages(video) {
+  if (!matchesListFilters(video)) {
+    return false;
+  }
+  const loaded = visibleVideos();
+  return !state.nextCursor || loaded.length === 0 || compareVideos(video, loaded[loaded.length - 1]) < 0;
+}
+
+function applyVideoUpdate(video) {
+  const known = state.videos.has(video.id);
+  if (known || belongsToLoadedPages(video)) {
+    if (!known) {
+      state.totalVideos += 1;
+    }
+    state.videos.set(video.id, video);
+    // 並び位置が変わらない更新は、一覧を作り直さずそのカードだけ差し替える
+    const card = elements.list.querySelector(`.video-card[data-video-id="${video.id}"]`);
+    if (card && matchesListFilters(video) && state.listFilters.sort !== 'updatedAt') {
+      card.replaceWith(createVideoCard(video));
+    } else {
+      renderVideos();
+    }
+  }
+  if (video.batchId) {
+    scheduleBatchRefresh();
+  }
+  if (state.currentVideoId === video.id) {
+    updatePlayer(video);
+  }
+  notifyIfFinished(video);
+}
+
+async function refreshStatus(id) {
+  try {
+    const { video } = await api.getVideoStatus(id);
+    applyVideoUpdate(video);
+    if (ACTIVE_STATUSES.includes(video.status)) {
+      watchVideo(id);
+    } else {
+      stopPolling(id);
+    }
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+// このブラウザから送信したジョブを覚えておき、終わったときにデスクトップ通知を出す（再読み込み後も有効）
+function loadAwaitingIds() {
+  try {
+    return new Set(JSON.parse(window.localStorage.getItem(AWAITING_STORAGE_KEY)) || []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+function saveAwaitingIds() {
+  try {
+    const ids = Array.from(state.awaitingIds).slice(-MAX_AWAITING_VIDEOS);
+    window.localStorage.setItem(AWAITING_STORAGE_KEY, JSON.stringify(ids));
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+// 許可ダイアログはユーザー操作の直後でないと出せないため、送信ボタンの処理の先頭で呼ぶ
+function requestNotificationPermission() {
+  if ('Notification' in window && Notification.permission === 'default') {
+    Notification.requestPermission().catch((error) => console.error(error));
+  }
+}
+
+function awaitCompletion(ids) {
+  for (const id of ids) {
+    state.awaitingIds.add(id);
+  }
+  saveAwaitingIds();
+}
+
+function notifyIfFinished(video) {
+  if (!state.awaitingIds.has(video.id) || ACTIVE_STATUSES.includes(video.status)) {
+    return;
+  }
+  state.awaitingIds.delete(video.id);
+  saveAwaitingIds();
+  const title = FINISHED_NOTIFICATION_TITLES[video.status];
+  // タブを見ている間は一覧の表示で十分なので、バックグラウンドのときだけ通知する
+  if (!title || !document.hidden || !('Notification' in window) || Notification.permission !== 'granted') {
+    return;
+  }
+  const notification = new Notification(title, {
+    body: video.title || video.prompt,
+    tag: video.id,
+  });
+  notification.addEventListener('click', () => {
+    window.focus();
+    loadVideo(video.id);
+    notification.close();
+  });
+}
+
+// SSE が繋がっている間はサーバからの通知に任せ、ポーリングは行わない
+function watchVideo(id) {
+  if (!state.eventsConnected) {
+    schedulePolling(id);
+  }
 }
 
 function schedulePolling(id) {
@@ -243,24 +1400,200 @@ function stopAllPolling() {
   }
 }
 
-async function refreshList() {
+function startFallbackPolling() {
+  for (const video of state.videos.values()) {
+    if (ACTIVE_STATUSES.includes(video.status)) {
+      schedulePolling(video.id);
+    }
+  }
+}
+
+function handleVideoEvent(event) {
+  state.lastEventId = event.lastEventId || state.lastEventId;
   try {
+    const { video } = JSON.parse(event.data);
+    if (video) {
+      applyVideoUpdate(video);
+    }
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function connectEvents() {
+  if (!('EventSource' in window)) {
+    startFallbackPolling();
+    return;
+  }
+  // 自前で張り直す場合は EventSource が Last-Event-ID を引き継がないためクエリで渡す
+  const url = state.lastEventId
+    ? `/api/events?lastEventId=${encodeURIComponent(state.lastEventId)}`
+    : '/api/events';
+  const source = new EventSource(url);
+  state.eventSource = source;
+
+  source.addEventListener('open', () => {
+    state.eventsConnected = true;
     stopAllPolling();
-    const { videos } = await api.listVideos();
-    state.videos = new Map(videos.map((video) => [video.id, video]));
+  });
+  for (const type of EVENT_TYPES) {
+    source.addEventListener(type, handleVideoEvent);
+  }
+  source.addEventListener('updated', loadTags);
+  source.addEventListener('created', () => {
+    if (elements.historyPanel.open) {
+      loadPromptHistory();
+    }
+  });
+  source.addEventListener('import', () => {
+    loadTags();
+    refreshList();
+  });
+  source.addEventListener('batch', (event) => {
+    state.lastEventId = event.lastEventId || state.lastEventId;
+    const { batch } = JSON.parse(event.data);
+    state.batches.set(batch.id, batch);
+    renderBatches();
+  });
+  source.addEventListener('template', (event) => {
+    state.lastEventId = event.lastEventId || state.lastEventId;
+    const { template } = JSON.parse(event.data);
+    state.templates.set(template.id, template);
+    renderTemplateOptions();
+    if (elements.templateSelect.value === template.id) {
+      applyTemplateSelection(readTemplateValues());
+    }
+  });
+  source.addEventListener('template_deleted', (event) => {
+    state.lastEventId = event.lastEventId || state.lastEventId;
+    const { templateId } = JSON.parse(event.data);
+    state.templates.delete(templateId);
+    renderTemplateOptions();
+  });
+  source.addEventListener('provider', (event) => {
+    state.lastEventId = event.lastEventId || state.lastEventId;
+    const { provider } = JSON.parse(event.data);
+    renderProviderStatus({ hasApiKey: provider.configured, provider: provider.name, providerStatus: provider });
+  });
+  source.addEventListener('deleted', (event) => {
+    state.lastEventId = event.lastEventId || state.lastEventId;
+    const { videoId } = JSON.parse(event.data);
+    removeVideo(videoId);
+  });
+  source.addEventListener('resync', (event) => {
+    state.lastEventId = event.lastEventId || null;
+    refreshList();
+  });
+  source.addEventListener('error', () => {
+    state.eventsConnected = false;
+    startFallbackPolling();
+    if (source.readyState === EventSource.CLOSED) {
+      // ブラウザが自動再接続を諦めた場合のみ、少し待ってから自前で再接続する
+      source.close();
+      state.eventSource = null;
+      clearTimeout(state.reconnectTimer);
+      state.reconnectTimer = setTimeout(connectEvents, EVENT_RECONNECT_DELAY_MS);
+    }
+  });
+}
+
+/**
+ * 現在の検索条件で一覧の 1 ページ目を読み直す（append なら続きのページを足す）。
+ * 条件を変えた後に古い条件の応答が届いても反映しないよう、世代番号で見分ける。
+ */
+async function loadVideos({ append = false } = {}) {
+  if (append && (!state.nextCursor || state.listLoading)) {
+    return;
+  }
+  if (!append) {
+    state.listFilters = readListFilters();
+    state.listGeneration += 1;
+  }
+  const generation = state.listGeneration;
+  state.listLoading = true;
+  try {
+    const { videos, total, nextCursor } = await api.listVideos(
+      listQueryParams(state.listFilters, append ? state.nextCursor : null),
+    );
+    if (generation !== state.listGeneration) {
+      return;
+    }
+    if (!append) {
+      stopAllPolling();
+      state.videos = new Map();
+    }
+    for (const video of videos) {
+      state.videos.set(video.id, video);
+    }
+    state.nextCursor = nextCursor;
+    state.totalVideos = total;
     renderVideos();
     videos
-      .filter((video) => ['queued', 'in_progress'].includes(video.status))
-      .forEach((video) => schedulePolling(video.id));
+      .filter((video) => ACTIVE_STATUSES.includes(video.status))
+      .forEach((video) => watchVideo(video.id));
   } catch (error) {
     console.error(error);
     setMessage(error.message, 'error');
+  } finally {
+    if (generation === state.listGeneration) {
+      state.listLoading = false;
+    }
+  }
+}
+
+async function refreshList() {
+  try {
+    const { batches } = await api.listBatches();
+    state.batches = new Map(batches.map((batch) => [batch.id, batch]));
+    if (state.batchFilter && !state.batches.has(state.batchFilter)) {
+      state.batchFilter = null;
+    }
+    renderBatches();
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+  await loadVideos();
+}
+
+async function updateCostEstimate() {
+  try {
+    const { estimate, budget } = await api.getEstimate({
+      model: elements.model.value,
+      size: elements.size.value,
+      seconds: elements.seconds.value,
+    });
+    if (!estimate) {
+      elements.costEstimate.textContent = '';
+      return;
+    }
+    let text = `推定コスト: ${formatUsd(estimate.usd)}（${formatUsd(estimate.usdPerSecond)}/秒）`;
+    let overBudget = false;
+    for (const [label, entry] of [['本日', budget.daily], ['今月', budget.monthly]]) {
+      if (entry.limit === null) {
+        continue;
+      }
+      text += ` · ${label} ${formatUsd(entry.spent)} / 上限 ${formatUsd(entry.limit)}`;
+      if (entry.remaining < estimate.usd) {
+        overBudget = true;
+      }
+    }
+    if (overBudget) {
+      text += ' — この設定では予算を超えます';
+    }
+    elements.costEstimate.textContent = text;
+    elements.costEstimate.classList.toggle('over-budget', overBudget);
+  } catch (error) {
+    console.error(error);
+    elements.costEstimate.textContent = '';
   }
 }
 
 async function handleFormSubmit(event) {
   event.preventDefault();
+  requestNotificationPermission();
   setMessage('OpenAI へリクエストを送信中…');
+  clearFieldErrors();
   elements.generateBtn.disabled = true;
 
   const formData = new FormData(elements.form);
@@ -271,33 +1604,853 @@ async function handleFormSubmit(event) {
 
   try {
     const { videoId, video } = await api.createVideo(formData);
-    state.videos.set(videoId, video);
-    renderVideos();
-    schedulePolling(videoId);
-    setMessage('生成ジョブを開始しました。ステータスが完了になるまで待ちましょう。', 'success');
+    awaitCompletion([videoId]);
+    applyVideoUpdate(video);
+    watchVideo(videoId);
+    const costText = typeof video.costEstimateUsd === 'number' ? `（推定 ${formatUsd(video.costEstimateUsd)}）` : '';
+    setMessage(`生成ジョブを開始しました${costText}。ステータスが完了になるまで待ちましょう。`, 'success');
+    // テンプレートは値を少しずつ変えて続けて使うことが多いので、選択と入力値は残す
+    const templateId = elements.templateSelect.value;
+    const templateValues = readTemplateValues();
     elements.form.reset();
-    elements.seconds.value = '4';
+    elements.templateSelect.value = templateId;
+    applyModelConstraints();
+    applyTemplateSelection(templateValues);
+    updateCostEstimate();
+    renderReferencePreview();
+    saveFormDraft();
   } catch (error) {
     console.error(error);
-    setMessage(error.message, 'error');
+    const unmatched = showFieldErrors(error.fieldErrors || []);
+    const details = unmatched.map((fieldError) => describeFieldError(fieldError));
+    const summary = error.fieldErrors && error.fieldErrors.length > unmatched.length
+      ? '入力内容を確認してください。'
+      : error.message;
+    setMessage([summary, ...details].join('\n'), 'error');
   } finally {
     elements.generateBtn.disabled = false;
   }
 }
 
-async function init() {
-  const { hasApiKey } = await api.hasApiKey();
-  if (!hasApiKey) {
+function formatSizeLabel(size) {
+  return size.replace('x', ' x ');
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+function modelCapability(modelId) {
+  return state.capabilities.models.find((model) => model.id === modelId) || null;
+}
+
+function uniqueValues(key) {
+  const values = [];
+  for (const model of state.capabilities.models) {
+    for (const value of model[key]) {
+      if (!values.includes(value)) {
+        values.push(value);
+      }
+    }
+  }
+  return values;
+}
+
+function fillSelect(select, values, formatLabel, defaultValue) {
+  select.innerHTML = '';
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = formatLabel(value);
+    // form.reset() で既定値に戻るよう defaultSelected も立てておく
+    option.defaultSelected = value === defaultValue;
+    option.selected = value === defaultValue;
+    select.appendChild(option);
+  }
+}
+
+/**
+ * 選択中のモデルが受け付けない解像度・秒数を選べなくする。
+ * 選択中の値が無効になった場合は、既定値（無効なら先頭の有効値）へ寄せる。
+ */
+function applyModelConstraints() {
+  const model = state.capabilities && modelCapability(elements.model.value);
+  if (!model) {
+    return;
+  }
+  const { defaults } = state.capabilities;
+  for (const [select, allowed, defaultValue] of [
+    [elements.size, model.sizes, defaults.size],
+    [elements.seconds, model.seconds, defaults.seconds],
+  ]) {
+    for (const option of select.options) {
+      option.disabled = !allowed.includes(option.value);
+      option.title = option.disabled ? `${model.id} では選択できません` : '';
+    }
+    if (!allowed.includes(select.value)) {
+      select.value = allowed.includes(defaultValue) ? defaultValue : allowed[0];
+    }
+  }
+}
+
+function renderFormOptions() {
+  const { models, defaults, limits } = state.capabilities;
+  fillSelect(elements.model, models.map((model) => model.id), (id) => id, defaults.model);
+  fillSelect(elements.size, uniqueValues('sizes'), formatSizeLabel, defaults.size);
+  fillSelect(elements.seconds, uniqueValues('seconds'), (value) => `${value} 秒`, defaults.seconds);
+  applyModelConstraints();
+
+  if (limits.maxPromptLength) {
+    elements.prompt.maxLength = limits.maxPromptLength;
+  }
+  if (limits.referenceMimeTypes) {
+    elements.inputReference.accept = limits.referenceMimeTypes.join(',');
+  }
+  elements.referenceHint.textContent =
+    `構図や色味の参考となる画像/動画を添付できます（任意・${formatBytes(limits.maxReferenceBytes)} まで）。`;
+  populateBatchOptions();
+  fillFilterOptions(elements.filterModel, models.map((model) => model.id), (id) => id);
+  fillFilterOptions(elements.filterSize, uniqueValues('sizes'), formatSizeLabel);
+}
+
+// 絞り込み用の選択肢。先頭の「すべて」は残して入れ替える
+function fillFilterOptions(select, values, formatLabel) {
+  const selected = select.value;
+  select.length = 1;
+  for (const value of values) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = formatLabel(value);
+    option.selected = value === selected;
+    select.appendChild(option);
+  }
+}
+
+// 送信前に分かる参照メディアの問題（容量・形式）はその場で知らせる
+function checkReferenceFile() {
+  const file = elements.inputReference.files[0];
+  const limits = state.capabilities && state.capabilities.limits;
+  if (!file || !limits) {
+    return;
+  }
+  if (file.size > limits.maxReferenceBytes) {
+    addFieldError({
+      field: 'input_reference',
+      code: 'too_large',
+      message: `${formatBytes(limits.maxReferenceBytes)} まで`,
+    });
+  } else if (limits.referenceMimeTypes && file.type && !limits.referenceMimeTypes.includes(file.type)) {
+    addFieldError({
+      field: 'input_reference',
+      code: 'unsupported_type',
+      message: limits.referenceMimeTypes.join(', '),
+    });
+  }
+}
+
+// 選んだ参照メディアをその場で表示し、読み取った縦横を選択中の解像度と見比べる
+function renderReferencePreview() {
+  const file = elements.inputReference.files[0];
+  const { referencePreviewImage: image, referencePreviewVideo: video } = elements;
+  if (state.referencePreviewUrl) {
+    URL.revokeObjectURL(state.referencePreviewUrl);
+    state.referencePreviewUrl = null;
+  }
+  state.referenceDimensions = null;
+  image.hidden = true;
+  video.hidden = true;
+  image.removeAttribute('src');
+  video.removeAttribute('src');
+  elements.referencePreview.hidden = !file;
+  if (!file) {
+    return;
+  }
+  elements.referenceDimensions.textContent = 'サイズを確認中…';
+  elements.referenceSizeBtn.hidden = true;
+  const url = URL.createObjectURL(file);
+  state.referencePreviewUrl = url;
+  const isVideo = file.type.startsWith('video/');
+  const media = isVideo ? video : image;
+  media.onload = null;
+  media.onloadedmetadata = null;
+  media.onerror = () => {
+    if (state.referencePreviewUrl === url) {
+      elements.referenceDimensions.textContent = 'プレビューを表示できません（サーバ側で形式を確認します）。';
+    }
+  };
+  const handleLoaded = () => {
+    if (state.referencePreviewUrl !== url) {
+      return;
+    }
+    state.referenceDimensions = isVideo
+      ? { width: video.videoWidth, height: video.videoHeight }
+      : { width: image.naturalWidth, height: image.naturalHeight };
+    updateReferenceDimensions();
+  };
+  if (isVideo) {
+    video.onloadedmetadata = handleLoaded;
+  } else {
+    image.onload = handleLoaded;
+  }
+  media.src = url;
+  media.hidden = false;
+}
+
+function updateReferenceDimensions() {
+  const dimensions = state.referenceDimensions;
+  if (!dimensions) {
+    return;
+  }
+  const detected = `${dimensions.width}x${dimensions.height}`;
+  const matches = detected === elements.size.value;
+  elements.referenceDimensions.textContent = matches
+    ? `${formatSizeLabel(detected)}（選択中の解像度と一致）`
+    : `${formatSizeLabel(detected)}: 選択中の解像度 ${formatSizeLabel(elements.size.value)} と一致しないため送信できません。`;
+  elements.referenceDimensions.classList.toggle('mismatch', !matches);
+  // 同じ縦横の解像度が選べるなら切り替えボタンを出す
+  const option = Array.from(elements.size.options).find((candidate) => candidate.value === detected);
+  elements.referenceSizeBtn.hidden = matches || !option || option.disabled;
+  elements.referenceSizeBtn.textContent = `解像度を ${formatSizeLabel(detected)} にする`;
+  elements.referenceSizeBtn.dataset.size = detected;
+}
+
+async function loadTemplates() {
+  try {
+    const { templates } = await api.listTemplates();
+    state.templates = new Map(templates.map((template) => [template.id, template]));
+    renderTemplateOptions();
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function renderTemplateOptions() {
+  const selected = elements.templateSelect.value;
+  const templates = Array.from(state.templates.values()).sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+  elements.templateSelect.length = 1;
+  for (const template of templates) {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.name;
+    option.title = template.description || template.prompt;
+    elements.templateSelect.appendChild(option);
+  }
+  // 選択中のテンプレートが消えたら選択を外す
+  const stillExists = state.templates.has(selected);
+  elements.templateSelect.value = stillExists ? selected : '';
+  if (selected && !stillExists) {
+    applyTemplateSelection();
+  }
+}
+
+function readTemplateValues() {
+  const values = {};
+  for (const input of elements.templateVariables.querySelectorAll('input')) {
+    values[input.dataset.variable] = input.value;
+  }
+  return values;
+}
+
+/**
+ * テンプレートを選ぶと変数の入力欄を出し、既定の model / size / seconds をフォームへ反映する。
+ * プロンプト欄は展開結果のプレビューになり、送信には templateId と variables.<name> を使う。
+ */
+function applyTemplateSelection(values = {}) {
+  const template = state.templates.get(elements.templateSelect.value) || null;
+  elements.templateVariables.innerHTML = '';
+  elements.templateVariables.hidden = !template || template.variables.length === 0;
+  elements.templateDeleteBtn.hidden = !template;
+  elements.templateSaveBtn.hidden = Boolean(template);
+  elements.prompt.disabled = Boolean(template);
+  clearFieldError(elements.prompt);
+
+  if (!template) {
+    if (state.promptDraft !== null) {
+      elements.prompt.value = state.promptDraft;
+      state.promptDraft = null;
+    }
+    elements.templateHint.hidden = false;
+    updateBatchCount();
+    return;
+  }
+  if (state.promptDraft === null) {
+    state.promptDraft = elements.prompt.value;
+  }
+  elements.templateHint.hidden = !template.description;
+  elements.templateHint.textContent = template.description || '';
+
+  template.variables.forEach((name, index) => {
+    const field = document.createElement('div');
+    field.className = 'field';
+    const label = document.createElement('label');
+    label.htmlFor = `template-variable-${index}`;
+    label.textContent = name;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = label.htmlFor;
+    input.name = `variables.${name}`;
+    input.dataset.variable = name;
+    input.required = true;
+    input.value = values[name] || '';
+    input.addEventListener('input', renderTemplatePreview);
+    const error = document.createElement('p');
+    error.className = 'field-error';
+    error.dataset.errorFor = input.name;
+    error.hidden = true;
+    field.append(label, input, error);
+    elements.templateVariables.appendChild(field);
+  });
+
+  const changed = [];
+  for (const [select, value] of [
+    [elements.model, template.model],
+    [elements.size, template.size],
+    [elements.seconds, template.seconds],
+  ]) {
+    if (value && Array.from(select.options).some((option) => option.value === value)) {
+      select.value = value;
+      changed.push(select);
+    }
+    if (select === elements.model) {
+      applyModelConstraints();
+    }
+  }
+  if (changed.length > 0) {
+    updateCostEstimate();
+    updateReferenceDimensions();
+  }
+  renderTemplatePreview();
+}
+
+// 入力済みの値で {{変数}} を置き換えたものをプロンプト欄に見せる
+function renderTemplatePreview() {
+  const template = state.templates.get(elements.templateSelect.value);
+  if (!template) {
+    return;
+  }
+  const values = readTemplateValues();
+  elements.prompt.value = template.prompt.replace(
+    /\{\{\s*([\p{L}\p{N}_-]+)\s*\}\}/gu,
+    (placeholder, name) => (values[name] && values[name].trim()) || placeholder,
+  );
+  updateBatchCount();
+}
+
+async function handleTemplateSave() {
+  const prompt = elements.prompt.value.trim();
+  if (!prompt) {
+    addFieldError({ field: 'prompt', code: 'required', message: 'テンプレートにするプロンプトを入力してください' });
+    return;
+  }
+  const name = window.prompt('テンプレート名を入力してください（モデル・解像度・長さも既定値として保存します）');
+  if (!name || !name.trim()) {
+    return;
+  }
+  try {
+    const { template } = await api.createTemplate({
+      name,
+      prompt,
+      model: elements.model.value,
+      size: elements.size.value,
+      seconds: elements.seconds.value,
+    });
+    state.templates.set(template.id, template);
+    renderTemplateOptions();
+    const variables = template.variables.length > 0 ? `（変数: ${template.variables.join(', ')}）` : '';
+    setMessage(`テンプレート「${template.name}」を保存しました${variables}。`, 'success');
+  } catch (error) {
+    console.error(error);
+    const details = (error.fieldErrors || []).map((fieldError) => `${fieldError.field}: ${describeFieldError(fieldError)}`);
+    setMessage([error.message, ...details].join('\n'), 'error');
+  }
+}
+
+async function handleTemplateDelete() {
+  const template = state.templates.get(elements.templateSelect.value);
+  if (!template || !window.confirm(`テンプレート「${template.name}」を削除しますか？作成済みの動画には影響しません。`)) {
+    return;
+  }
+  try {
+    await api.deleteTemplate(template.id);
+    state.templates.delete(template.id);
+    renderTemplateOptions();
+    setMessage(`テンプレート「${template.name}」を削除しました。`, 'success');
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+}
+
+/**
+ * プロンプト・テンプレート・model / size / seconds をまとめてフォームへ入れる。
+ * 「この設定を使う」・履歴・下書きの復元で共通に使い、テンプレートが消えていればプロンプトの文面で埋める。
+ */
+function fillFormFromSettings({ prompt = '', model, size, seconds, templateId = '', variables = {} }) {
+  clearFieldErrors();
+  hidePromptSuggestions();
+  elements.templateSelect.value = '';
+  applyTemplateSelection();
+  elements.prompt.value = prompt;
+  if (templateId && state.templates.has(templateId)) {
+    elements.templateSelect.value = templateId;
+    applyTemplateSelection(variables);
+  }
+  for (const [select, value] of [[elements.model, model], [elements.size, size], [elements.seconds, seconds]]) {
+    const option = Array.from(select.options).find((candidate) => candidate.value === String(value));
+    if (option && !option.disabled) {
+      select.value = option.value;
+    }
+    if (select === elements.model) {
+      applyModelConstraints();
+    }
+  }
+  updateCostEstimate();
+  updateReferenceDimensions();
+  updateBatchCount();
+  saveFormDraft();
+}
+
+function useVideoSettings(video) {
+  fillFormFromSettings({
+    prompt: video.prompt,
+    model: video.model,
+    size: video.size ?? video.resolution,
+    seconds: video.seconds ?? video.durationSeconds,
+    templateId: video.template && video.template.id,
+    variables: video.template && video.template.values,
+  });
+  const referenceNote = video.input_reference ? '参照メディアは保存されていないので、必要なら添付し直してください。' : '';
+  setMessage(`「${shortPrompt(video.title || video.prompt)}」の設定をフォームに読み込みました。${referenceNote}`, 'success');
+  elements.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  (elements.prompt.disabled ? elements.templateSelect : elements.prompt).focus({ preventScroll: true });
+}
+
+// 送信前の入力内容（参照メディア以外）を保存し、再読み込みしても続きから書けるようにする
+function saveFormDraft() {
+  const templateId = elements.templateSelect.value;
+  const draft = {
+    prompt: templateId ? state.promptDraft || '' : elements.prompt.value,
+    model: elements.model.value,
+    size: elements.size.value,
+    seconds: elements.seconds.value,
+    templateId,
+    variables: templateId ? readTemplateValues() : {},
+  };
+  try {
+    window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function restoreFormDraft() {
+  let draft = null;
+  try {
+    draft = JSON.parse(window.localStorage.getItem(DRAFT_STORAGE_KEY) || 'null');
+  } catch (error) {
+    console.error(error);
+  }
+  if (!draft || typeof draft !== 'object') {
+    return;
+  }
+  fillFormFromSettings(draft);
+  if (draft.prompt || draft.templateId) {
+    setMessage('保存されていた入力途中の内容を復元しました。');
+  }
+}
+
+async function loadPromptHistory() {
+  clearTimeout(state.historyTimer);
+  try {
+    const { prompts, total } = await api.listPrompts({ q: elements.historyQuery.value, limit: HISTORY_LIMIT });
+    renderPromptHistory(prompts, total);
+  } catch (error) {
+    console.error(error);
+    elements.historySummary.textContent = error.message;
+  }
+}
+
+function renderPromptHistory(prompts, total) {
+  elements.historyList.innerHTML = '';
+  for (const entry of prompts) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'history-item';
+    button.title = 'プロンプトと設定をフォームに読み込む';
+    const text = document.createElement('span');
+    text.className = 'history-prompt';
+    text.textContent = entry.prompt;
+    const meta = document.createElement('span');
+    meta.className = 'history-meta';
+    meta.textContent = [
+      entry.model,
+      entry.size,
+      `${entry.seconds}秒`,
+      ...(entry.template ? [`テンプレート: ${entry.template.name}`] : []),
+      `${entry.count} 回`,
+      new Date(entry.lastUsedAt).toLocaleString(),
+    ].join(' · ');
+    button.append(text, meta);
+    button.addEventListener('click', () => {
+      fillFormFromSettings({
+        prompt: entry.prompt,
+        model: entry.model,
+        size: entry.size,
+        seconds: entry.seconds,
+        templateId: entry.template && entry.template.id,
+        variables: entry.template && entry.template.values,
+      });
+      setMessage('履歴のプロンプトと設定をフォームに読み込みました。', 'success');
+    });
+    item.appendChild(button);
+    elements.historyList.appendChild(item);
+  }
+  if (total === 0) {
+    elements.historySummary.textContent = elements.historyQuery.value ? '一致するプロンプトはありません。' : 'まだ履歴はありません。';
+  } else {
+    elements.historySummary.textContent = total > prompts.length ? `${total} 件中 ${prompts.length} 件を表示` : `${total} 件`;
+  }
+}
+
+// 入力中の文字列を含む過去のプロンプトを候補として出す
+function schedulePromptSuggestions() {
+  clearTimeout(state.suggestTimer);
+  const text = elements.prompt.value.trim();
+  if (elements.prompt.disabled || Array.from(text).length < MIN_SUGGESTION_QUERY_LENGTH) {
+    hidePromptSuggestions();
+    return;
+  }
+  state.suggestTimer = setTimeout(async () => {
+    const generation = ++state.suggestGeneration;
+    try {
+      const { prompts } = await api.listPrompts({ q: text, limit: SUGGESTION_LIMIT + 1 });
+      // 入力が進んでいたら古い結果は捨てる
+      if (generation !== state.suggestGeneration) {
+        return;
+      }
+      renderPromptSuggestions(prompts.filter((entry) => entry.prompt !== text).slice(0, SUGGESTION_LIMIT));
+    } catch (error) {
+      console.error(error);
+    }
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+function renderPromptSuggestions(prompts) {
+  state.suggestions = prompts;
+  state.suggestionIndex = -1;
+  elements.promptSuggestions.innerHTML = '';
+  prompts.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.id = `prompt-suggestion-${index}`;
+    item.setAttribute('role', 'option');
+    item.textContent = entry.prompt;
+    // mousedown で選ぶと textarea の blur より先に処理できる
+    item.addEventListener('mousedown', (event) => {
+      event.preventDefault();
+      acceptPromptSuggestion(index);
+    });
+    elements.promptSuggestions.appendChild(item);
+  });
+  elements.promptSuggestions.hidden = prompts.length === 0;
+  elements.prompt.setAttribute('aria-expanded', String(prompts.length > 0));
+  elements.prompt.removeAttribute('aria-activedescendant');
+}
+
+function hidePromptSuggestions() {
+  clearTimeout(state.suggestTimer);
+  state.suggestGeneration += 1;
+  state.suggestions = [];
+  state.suggestionIndex = -1;
+  elements.promptSuggestions.hidden = true;
+  elements.promptSuggestions.innerHTML = '';
+  elements.prompt.setAttribute('aria-expanded', 'false');
+  elements.prompt.removeAttribute('aria-activedescendant');
+}
+
+function highlightPromptSuggestion(index) {
+  state.suggestionIndex = index;
+  elements.promptSuggestions.querySelectorAll('li').forEach((item, itemIndex) => {
+    item.setAttribute('aria-selected', String(itemIndex === index));
+  });
+  if (index >= 0) {
+    elements.prompt.setAttribute('aria-activedescendant', `prompt-suggestion-${index}`);
+  } else {
+    elements.prompt.removeAttribute('aria-activedescendant');
+  }
+}
+
+// 候補はプロンプトの文面だけを入れる（設定ごと戻したいときは履歴パネルを使う）
+function acceptPromptSuggestion(index) {
+  const entry = state.suggestions[index];
+  if (!entry) {
+    return;
+  }
+  elements.prompt.value = entry.prompt;
+  hidePromptSuggestions();
+  clearFieldError(elements.prompt);
+  updateBatchCount();
+  saveFormDraft();
+}
+
+function handlePromptKeydown(event) {
+  if (elements.promptSuggestions.hidden || state.suggestions.length === 0) {
+    return;
+  }
+  const count = state.suggestions.length;
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    // -1（どれも選ばない）を挟んで循環させる
+    const next = state.suggestionIndex + (event.key === 'ArrowDown' ? 1 : -1);
+    highlightPromptSuggestion(next >= count ? -1 : next < -1 ? count - 1 : next);
+  } else if (event.key === 'Enter' && state.suggestionIndex >= 0) {
+    event.preventDefault();
+    acceptPromptSuggestion(state.suggestionIndex);
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    hidePromptSuggestions();
+  }
+}
+
+// 一括生成の選択肢も同じ capabilities から作る
+function populateBatchOptions() {
+  const { defaults } = state.capabilities;
+  const groups = [
+    [elements.batchModels, state.capabilities.models.map((model) => model.id), 'model', (id) => id],
+    [elements.batchSizes, uniqueValues('sizes'), 'size', formatSizeLabel],
+    [elements.batchSeconds, uniqueValues('seconds'), 'seconds', (value) => `${value} 秒`],
+  ];
+  for (const [fieldset, values, name, formatLabel] of groups) {
+    fieldset.querySelectorAll('label').forEach((label) => label.remove());
+    for (const value of values) {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = name;
+      checkbox.value = value;
+      checkbox.checked = value === defaults[name];
+      label.append(checkbox, ` ${formatLabel(value)}`);
+      fieldset.appendChild(label);
+    }
+  }
+}
+
+function checkedValues(fieldset) {
+  return Array.from(fieldset.querySelectorAll('input:checked')).map((input) => input.value);
+}
+
+function batchPrompts() {
+  const lines = elements.batchPrompts.value.split('\n').map((line) => line.trim()).filter(Boolean);
+  if (lines.length > 0) {
+    return lines;
+  }
+  return elements.prompt.value.trim() ? [elements.prompt.value.trim()] : [];
+}
+
+// チェックした値の直積のうち、モデルが受け付ける組み合わせだけを送る
+function batchCombinations() {
+  const items = [];
+  let skipped = 0;
+  for (const prompt of batchPrompts()) {
+    for (const modelId of checkedValues(elements.batchModels)) {
+      const model = modelCapability(modelId);
+      for (const size of checkedValues(elements.batchSizes)) {
+        for (const seconds of checkedValues(elements.batchSeconds)) {
+          if (model && model.sizes.includes(size) && model.seconds.includes(seconds)) {
+            items.push({ prompt, model: modelId, size, seconds });
+          } else {
+            skipped += 1;
+          }
+        }
+      }
+    }
+  }
+  return { items, skipped };
+}
+
+function updateBatchCount() {
+  if (elements.batchCsv.files[0]) {
+    elements.batchCount.textContent = 'CSV の行数分を生成します';
+    elements.batchBtn.disabled = false;
+    return;
+  }
+  if (!state.capabilities) {
+    elements.batchCount.textContent = '';
+    return;
+  }
+  const { items, skipped } = batchCombinations();
+  const { maxBatchSize } = state.capabilities.limits;
+  let text = `${items.length} 件の動画を生成します`;
+  if (skipped > 0) {
+    text += `（非対応の組み合わせ ${skipped} 件を除く）`;
+  }
+  if (maxBatchSize && items.length > maxBatchSize) {
+    text += ` — 上限は ${maxBatchSize} 件です`;
+  }
+  elements.batchCount.textContent = text;
+  elements.batchBtn.disabled = items.length === 0 || (maxBatchSize && items.length > maxBatchSize);
+}
+
+async function handleBatchSubmit(event) {
+  event.preventDefault();
+  requestNotificationPermission();
+  elements.batchBtn.disabled = true;
+  setMessage('一括生成のリクエストを送信中…');
+  try {
+    const file = elements.batchCsv.files[0];
+    const name = elements.batchName.value.trim();
+    const body = file
+      ? { name, csv: await file.text() }
+      : { name, items: batchCombinations().items };
+    const { batch, videos } = await api.createBatch(body);
+    awaitCompletion(videos.map((video) => video.id));
+    state.batches.set(batch.id, batch);
+    // 一覧はバッチで絞り込んで読み直す（子の監視もそこで始まる）
+    setBatchFilter(batch.id);
+    setMessage(`${videos.length} 件の生成ジョブを登録しました（推定 ${formatUsd(batch.costEstimateUsd)}）。`, 'success');
+    elements.batchCsv.value = '';
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  } finally {
+    updateBatchCount();
+  }
+}
+
+function renderProviderStatus({ hasApiKey, provider, providerStatus }) {
+  elements.apiStatus.classList.remove('degraded');
+  if (provider === 'mock') {
+    elements.apiStatus.textContent = 'モックプロバイダで動作中（API キー不要）';
+  } else if (!hasApiKey) {
     elements.apiStatus.textContent = '⚠️ OPENAI_API_KEY が未設定です';
   } else {
     elements.apiStatus.textContent = 'API キー設定済み';
   }
+  if (providerStatus && providerStatus.state !== 'closed') {
+    const resume = providerStatus.retryAt ? `（${new Date(providerStatus.retryAt).toLocaleTimeString()} 頃に再開）` : '';
+    elements.apiStatus.textContent = `⚠️ プロバイダ障害のため呼び出しを一時停止中${resume}`;
+    elements.apiStatus.classList.add('degraded');
+  }
+}
+
+async function handleLogout() {
+  try {
+    await api.logout();
+  } catch (error) {
+    console.error(error);
+  }
+  window.location.assign('/login');
+}
 
+async function init() {
+  try {
+    const session = await api.getSession();
+    if (session.authEnabled && !session.authenticated) {
+      window.location.assign('/login');
+      return;
+    }
+    state.csrfToken = session.csrfToken;
+    elements.logoutBtn.hidden = session.via !== 'session';
+  } catch (error) {
+    console.error(error);
+  }
+
+  renderProviderStatus(await api.hasApiKey());
+
+  try {
+    state.capabilities = await api.getCapabilities();
+    renderFormOptions();
+    updateBatchCount();
+  } catch (error) {
+    console.error(error);
+    setMessage(error.message, 'error');
+  }
+
+  // 下書きはテンプレートを参照していることがあるので、一覧を読んでから復元する
+  await loadTemplates();
+  if (state.capabilities) {
+    restoreFormDraft();
+  }
+
+  connectEvents();
+  updateCostEstimate();
+  loadTags();
   await refreshList();
 }
 
 document.addEventListener('DOMContentLoaded', () => {
   elements.form.addEventListener('submit', handleFormSubmit);
+  elements.form.addEventListener('input', (event) => clearFieldError(event.target));
+  elements.form.addEventListener('input', saveFormDraft);
+  elements.form.addEventListener('change', saveFormDraft);
+  elements.form.addEventListener('change', (event) => {
+    // モデルを変えると解像度・秒数の可否も変わるので、組み合わせのエラーはまとめて消す
+    const combination = [elements.model, elements.size, elements.seconds];
+    (combination.includes(event.target) ? combination : [event.target]).forEach(clearFieldError);
+    if (event.target === elements.inputReference) {
+      checkReferenceFile();
+      renderReferencePreview();
+    }
+    if (event.target === elements.model || event.target === elements.size) {
+      updateReferenceDimensions();
+    }
+  });
+  elements.templateSelect.addEventListener('change', () => applyTemplateSelection());
+  elements.templateSaveBtn.addEventListener('click', handleTemplateSave);
+  elements.templateDeleteBtn.addEventListener('click', handleTemplateDelete);
+  elements.referenceSizeBtn.addEventListener('click', () => {
+    elements.size.value = elements.referenceSizeBtn.dataset.size;
+    elements.size.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+  elements.model.addEventListener('change', applyModelConstraints);
+  for (const control of [elements.model, elements.size, elements.seconds]) {
+    control.addEventListener('change', updateCostEstimate);
+  }
   elements.refreshBtn.addEventListener('click', refreshList);
+  elements.importBtn.addEventListener('click', () => elements.importFile.click());
+  elements.importFile.addEventListener('change', handleImportFile);
+  elements.logoutBtn.addEventListener('click', handleLogout);
+  elements.remixForm.addEventListener('submit', handleRemixSubmit);
+  elements.annotationForm.addEventListener('submit', handleAnnotationSubmit);
+  elements.annotationForm.addEventListener('input', (event) => clearFieldError(event.target));
+  elements.batchForm.addEventListener('submit', handleBatchSubmit);
+  elements.batchForm.addEventListener('change', updateBatchCount);
+  elements.batchPrompts.addEventListener('input', updateBatchCount);
+  elements.prompt.addEventListener('input', updateBatchCount);
+  elements.prompt.addEventListener('input', schedulePromptSuggestions);
+  elements.prompt.addEventListener('keydown', handlePromptKeydown);
+  elements.prompt.addEventListener('blur', hidePromptSuggestions);
+  elements.historyPanel.addEventListener('toggle', () => {
+    if (elements.historyPanel.open) {
+      loadPromptHistory();
+    }
+  });
+  elements.historyQuery.addEventListener('input', () => {
+    clearTimeout(state.historyTimer);
+    state.historyTimer = setTimeout(loadPromptHistory, SEARCH_DEBOUNCE_MS);
+  });
+  elements.batchFilterClear.addEventListener('click', () => setBatchFilter(null));
+  fillFilterOptions(elements.filterStatus, VIDEO_STATUSES, translateStatus);
+  state.listFilters = readListFilters();
+  elements.libraryFilters.addEventListener('submit', (event) => event.preventDefault());
+  elements.libraryFilters.addEventListener('change', (event) => {
+    // 検索語は入力中に反映しているので、確定時の change では読み直さない
+    if (event.target !== elements.filterQuery) {
+      loadVideos();
+    }
+  });
+  elements.filterQuery.addEventListener('input', () => {
+    clearTimeout(state.searchTimer);
+    state.searchTimer = setTimeout(() => loadVideos(), SEARCH_DEBOUNCE_MS);
+  });
+  elements.loadMore.addEventListener('click', () => loadVideos({ append: true }));
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        loadVideos({ append: true });
+      }
+    }, { root: elements.list, rootMargin: '200px' });
+    observer.observe(elements.loadMore);
+  }
   init();
 });
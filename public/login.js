@@ -0,0 +1,58 @@
+const form = document.getElementById('login-form');
+const password = document.getElementById('password');
+const button = document.getElementById('login-btn');
+const message = document.getElementById('login-message');
+
+function setMessage(text) {
+  message.textContent = text;
+  message.className = text ? 'form-message error' : 'form-message';
+}
+
+async function handleLogin(event) {
+  event.preventDefault();
+  button.disabled = true;
+  setMessage('');
+  try {
+    const response = await fetch('/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: password.value }),
+    });
+    if (response.ok) {
+      window.location.assign('/');
+      return;
+    }
+    if (response.status === 429) {
+      setMessage('失敗が続いたため一時的にログインできません。しばらく待ってから試してください。');
+    } else if (response.status === 401) {
+      setMessage('パスワードが違います。');
+    } else {
+      const error = await response.json().catch(() => ({}));
+      setMessage(error.message || 'ログインに失敗しました');
+    }
+    password.select();
+  } catch (error) {
+    console.error(error);
+    setMessage('サーバに接続できませんでした');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// API_TOKENS だけが設定されたサーバはスクリプト専用で、ブラウザからはログインできない
+async function checkPasswordLogin() {
+  try {
+    const response = await fetch('/api/session');
+    const session = await response.json();
+    if (session.authEnabled && !session.passwordLogin) {
+      password.disabled = true;
+      button.disabled = true;
+      setMessage('このサーバは API トークン専用です。ブラウザから使うには AUTH_PASSWORD を設定してください。');
+    }
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+form.addEventListener('submit', handleLogin);
+checkPasswordLogin();
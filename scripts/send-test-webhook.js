@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * ローカルのサーバへ署名付きのサンプル Webhook を送る動作確認用スクリプト。
+ *
+ *   OPENAI_WEBHOOK_SECRET=whsec_... node scripts/send-test-webhook.js <providerVideoId> [options]
+ *
+ *   --type <type>      イベント種別（既定 video.completed。video.failed なども可）
+ *   --url <url>        送信先（既定 http://localhost:$PORT/api/webhooks/openai）
+ *   --replay           同じ webhook-id で 2 回送り、2 回目が拒否されることを確かめる
+ *   --bad-signature    別の鍵で署名して、拒否されることを確かめる
+ *   --stale            許容範囲外の古い時刻で送る
+ */
+const crypto = require('crypto');
+const { signWebhook } = require('../lib/webhooks');
+
+function parseArgs(argv) {
+  const options = { type: 'video.completed', url: null, replay: false, badSignature: false, stale: false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--type') {
+      options.type = argv[++i];
+    } else if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--replay') {
+      options.replay = true;
+    } else if (arg === '--bad-signature') {
+      options.badSignature = true;
+    } else if (arg === '--stale') {
+      options.stale = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+  options.providerVideoId = positional[0];
+  return options;
+}
+
+async function send(url, headers, body) {
+  const response = await fetch(url, { method: 'POST', headers, body });
+  const text = await response.text();
+  console.log(`${response.status} ${text}`);
+  return response;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = process.env.OPENAI_WEBHOOK_SECRET;
+  if (!options.providerVideoId || !secret) {
+    console.error('Usage: OPENAI_WEBHOOK_SECRET=... node scripts/send-test-webhook.js <providerVideoId> '
+      + '[--type video.completed] [--url URL] [--replay] [--bad-signature] [--stale]');
+    process.exit(2);
+  }
+  const url = options.url || `http://localhost:${process.env.PORT || 3000}/api/webhooks/openai`;
+  const id = `wh_${crypto.randomUUID()}`;
+  const timestamp = Math.floor(Date.now() / 1000) - (options.stale ? 3600 : 0);
+  const body = JSON.stringify({
+    id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+    object: 'event',
+    created_at: timestamp,
+    type: options.type,
+    data: { id: options.providerVideoId },
+  });
+  const signingSecret = options.badSignature ? `whsec_${crypto.randomBytes(24).toString('base64')}` : secret;
+  const headers = {
+    'Content-Type': 'application/json',
+    'webhook-id': id,
+    'webhook-timestamp': String(timestamp),
+    'webhook-signature': signWebhook(signingSecret, { id, timestamp, body }),
+  };
+
+  await send(url, headers, body);
+  if (options.replay) {
+    await send(url, headers, body);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -3,18 +3,239 @@ const fs = require('fs');
 const path = require('path');
 const { URL } = require('url');
 const crypto = require('crypto');
-const { Readable } = require('stream');
-const { Blob } = require('buffer');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const Busboy = require('busboy');
+const { createJsonStore } = require('./lib/store');
+const { createContentCache } = require('./lib/content-cache');
+const { createStaticFiles } = require('./lib/static-files');
+const { createEventStream } = require('./lib/event-stream');
+const { createProvider } = require('./lib/providers');
+const { errorFromResponse, classifyGenerationFailure, isTransientError } = require('./lib/providers/errors');
+const { createAuth } = require('./lib/auth');
+const { createLogger, requestContext } = require('./lib/logger');
+const { createAuditLog } = require('./lib/audit-log');
+const {
+  loadPricing,
+  estimateCost,
+  summarizeSpend,
+  describeBudget,
+  findExceededBudget,
+} = require('./lib/pricing');
+const { expandBatchRequest, summarizeBatch } = require('./lib/batch');
+const {
+  parseVideoQuery,
+  queryVideos,
+  parsePromptHistoryQuery,
+  listPromptHistory,
+} = require('./lib/video-query');
+const { sanitizeAnnotationPatch, countTags } = require('./lib/annotations');
+const { sanitizeTemplate, renderTemplate } = require('./lib/templates');
+const { createTarStream, tarSize, listTarEntries, readTarEntry } = require('./lib/tar');
+const { createWebhookVerifier } = require('./lib/webhooks');
+const { createWebhookNotifier } = require('./lib/notifier');
+const { probeMediaFile } = require('./lib/media-probe');
+const {
+  MANIFEST_NAME,
+  mediaEntryName,
+  buildManifest,
+  parseManifest,
+  planImport,
+} = require('./lib/library-archive');
+const {
+  loadValidationPolicy,
+  validateVideoParams,
+  describeCapabilities,
+  fieldError,
+  referenceTooLargeMessage,
+} = require('./lib/validation');
 
+function listFromEnv(value) {
+  return (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+}
+
+const auth = createAuth({
+  password: process.env.AUTH_PASSWORD,
+  apiTokens: listFromEnv(process.env.API_TOKENS),
+  sessionSecret: process.env.SESSION_SECRET,
+  sessionTtlMs: (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000,
+  secureCookies: process.env.COOKIE_SECURE === '1',
+});
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
-const HOST = '0.0.0.0';
-const API_KEY = process.env.OPENAI_API_KEY || '';
-const POLL_INTERVAL_MS = 5000;
-const MAX_REFERENCE_BYTES = 25 * 1024 * 1024; // 25MB
+// 認証が無い状態で外部へ公開しないよう、未設定時はループバックにだけ bind する
+const HOST = process.env.HOST || (auth.enabled ? '0.0.0.0' : '127.0.0.1');
+const CORS_ORIGINS = listFromEnv(process.env.CORS_ORIGINS);
+const VIDEO_PROVIDER = process.env.VIDEO_PROVIDER || 'openai';
+const OPENAI_WEBHOOK_SECRET = process.env.OPENAI_WEBHOOK_SECRET || '';
+// Webhook で完了・失敗が届く場合、ポーリングは取りこぼしに備えた低頻度の確認だけにする
+const POLL_INTERVAL_MS = OPENAI_WEBHOOK_SECRET
+  ? (Number(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 60) * 1000
+  : 5000;
+const MAX_POLL_BACKOFF_MS = Math.max(60000, POLL_INTERVAL_MS);
+// 送信からこの時間を過ぎても終わらないジョブは stalled としてポーリングをやめる
+const MAX_POLL_DURATION_MS = (Number(process.env.MAX_POLL_MINUTES) || 60) * 60 * 1000;
+const CONTENT_VARIANTS = ['video', 'thumbnail', 'spritesheet'];
+const validationPolicy = loadValidationPolicy(process.env.VALIDATION_POLICY_FILE);
+const MAX_REFERENCE_BYTES = validationPolicy.inputReference.maxBytes;
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, 'data');
+const CACHE_DIR = process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : path.join(DATA_DIR, 'cache');
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads');
+const MAX_CONCURRENT_JOBS = Math.max(1, Number(process.env.MAX_CONCURRENT_JOBS) || 2);
+const MAX_BATCH_SIZE = 50;
+const MAX_IMPORT_BYTES = Math.floor((Number(process.env.MAX_IMPORT_MB) || 4096) * 1024 * 1024);
+const BUDGET_LIMITS = {
+  daily: Number(process.env.DAILY_BUDGET_USD) || 0,
+  monthly: Number(process.env.MONTHLY_BUDGET_USD) || 0,
+};
 
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
 const videos = new Map();
 const pollHandles = new Map();
+const pollTriggers = new Map();
+const submittingIds = new Set();
+// 作成途中でまだ videos に入っていないレコード（予算の集計に含める）
+const reservedRecords = new Set();
+let queuePumping = false;
+let queuePumpRequested = false;
+// プロバイダ障害で送信を見合わせている間の再開タイマーと、続けて見合わせた回数
+let queueRetryTimer = null;
+let queueRetryFailures = 0;
+const batches = new Map();
+const templates = new Map();
+const logStoreError = (err) => logger.error('Failed to write store', { err });
+const videoStore = createJsonStore(path.join(DATA_DIR, 'videos.json'), { onError: logStoreError });
+const batchStore = createJsonStore(path.join(DATA_DIR, 'batches.json'), { onError: logStoreError });
+const templateStore = createJsonStore(path.join(DATA_DIR, 'templates.json'), { onError: logStoreError });
+const revokedSessionStore = createJsonStore(path.join(DATA_DIR, 'revoked-sessions.json'), { onError: logStoreError });
+const audit = createAuditLog(path.join(DATA_DIR, 'audit.log'), {
+  onError: (err) => logger.error('Failed to append audit log', { err }),
+});
+const contentCache = createContentCache(CACHE_DIR);
+const staticFiles = createStaticFiles(path.join(__dirname, 'public'));
+const APP_SHELL_PATH = staticFiles.resolve('index.html');
+const eventStream = createEventStream();
+const notifier = createWebhookNotifier({
+  urls: listFromEnv(process.env.NOTIFY_WEBHOOK_URLS),
+  secret: process.env.NOTIFY_WEBHOOK_SECRET || '',
+  onResult: (result) => {
+    if (result.ok) {
+      logger.info('Notification delivered', result);
+    } else {
+      logger.warn('Notification failed', result);
+    }
+    audit.append(result.ok ? 'notification.delivered' : 'notification.failed', result);
+  },
+});
+const webhookVerifier = OPENAI_WEBHOOK_SECRET ? createWebhookVerifier({ secret: OPENAI_WEBHOOK_SECRET }) : null;
+const provider = createProvider(VIDEO_PROVIDER, process.env, {
+  onCircuitChange: (state, health) => {
+    const log = state === 'open' ? logger.warn : logger.info;
+    log('Provider circuit state changed', { provider: VIDEO_PROVIDER, ...health });
+    audit.append('provider.circuit', { provider: VIDEO_PROVIDER, ...health });
+    eventStream.publish('provider', { provider: describeProvider() });
+  },
+});
+const pricing = loadPricing(process.env.PRICING_FILE);
+
+function persistVideos() {
+  videoStore.save(Array.from(videos.values()));
+}
+
+function persistBatches() {
+  batchStore.save(Array.from(batches.values()));
+}
+
+function persistTemplates() {
+  templateStore.save(Array.from(templates.values()));
+}
+
+function describeProvider() {
+  return { name: provider.name, configured: provider.isConfigured(), ...provider.health() };
+}
+
+function publishVideoEvent(record, type) {
+  let eventType = type;
+  if (!eventType) {
+    if (record.status === 'completed') {
+      eventType = 'completed';
+    } else if (record.status === 'failed') {
+      eventType = 'failed';
+    } else if (record.status === 'stalled') {
+      eventType = 'stalled';
+    } else if (record.status === 'cancelled') {
+      eventType = 'cancelled';
+    } else {
+      eventType = 'progress';
+    }
+  }
+  eventStream.publish(eventType, { video: record });
+}
+
+function currentSpend() {
+  return summarizeSpend([...videos.values(), ...reservedRecords]);
+}
+
+function currentBudget() {
+  return describeBudget(currentSpend(), BUDGET_LIMITS);
+}
+
+function restoreVideos() {
+  for (const record of videoStore.load()) {
+    // 見積もり導入前のレコードにも予算集計用の見積額を付与しておく
+    if (record.costEstimateUsd === undefined) {
+      const estimate = estimateCost(record, pricing);
+      record.costEstimateUsd = estimate ? estimate.usd : null;
+    }
+    videos.set(record.id, record);
+  }
+  for (const batch of batchStore.load()) {
+    batches.set(batch.id, batch);
+  }
+  for (const template of templateStore.load()) {
+    templates.set(template.id, template);
+  }
+  auth.restoreRevokedSessions(revokedSessionStore.load());
+  // 再起動前に生成中だったジョブのポーリングを再開する
+  for (const record of videos.values()) {
+    if (record.providerVideoId && ['queued', 'in_progress'].includes(record.status)) {
+      scheduleStatusPoll(record.id);
+    }
+  }
+}
+
+// 途中で停止して残ったアップロード・取り込みの一時ファイルを消す（キュー用に退避した参照メディアは残す）
+async function removeStaleUploads() {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(UPLOAD_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return;
+    }
+    throw err;
+  }
+  await Promise.all(entries
+    .filter((name) => name.startsWith('upload-') || name.startsWith('import-'))
+    .map((name) => fs.promises.rm(path.join(UPLOAD_DIR, name), { force: true })));
+}
+
+async function resumeContentCaching() {
+  // 完了済みなのにキャッシュが無いもの（ダウンロード中に停止した等）を取り直す
+  for (const record of videos.values()) {
+    if (record.status !== 'completed' || !record.providerVideoId) {
+      continue;
+    }
+    if (!(await contentCache.stat(record.id))) {
+      await cacheVideoContent(record);
+    }
+    for (const variant of ['thumbnail', 'spritesheet']) {
+      const asset = record.assets && record.assets[variant];
+      if (!(asset && asset.error) && !(await contentCache.stat(record.id, variant))) {
+        await cacheVideoContent(record, variant);
+      }
+    }
+  }
+}
 
 function notFound(res) {
   res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
@@ -26,7 +247,43 @@ function methodNotAllowed(res) {
   res.end('Method not allowed');
 }
 
-async function parseJsonBody(req) {
+// ルートで sendJson(err.statusCode, { message, ...err.details }) に変換するためのエラー
+function httpError(statusCode, message, details = {}) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.details = details;
+  return err;
+}
+
+// プロバイダの型付きエラー（lib/providers/errors.js）をこのサーバの HTTP ステータスに対応付ける
+const PROVIDER_ERROR_STATUS = {
+  rate_limited: 429,
+  quota_exceeded: 502,
+  provider_unavailable: 503,
+  timeout: 504,
+  network_error: 503,
+  circuit_open: 503,
+  invalid_request: 400,
+  content_policy: 422,
+  provider_auth_failed: 502,
+  not_found: 404,
+  not_configured: 503,
+};
+
+function providerErrorCode(err) {
+  return err && PROVIDER_ERROR_STATUS[err.code] ? err.code : 'provider_error';
+}
+
+function providerHttpError(err) {
+  const code = providerErrorCode(err);
+  return httpError(PROVIDER_ERROR_STATUS[code] || 502, err.message, {
+    code,
+    ...(err.retryAfterMs ? { retryAfterSeconds: Math.ceil(err.retryAfterMs / 1000) } : {}),
+    ...(err.detail ? { detail: err.detail } : {}),
+  });
+}
+
+async function readTextBody(req) {
   return new Promise((resolve, reject) => {
     let data = '';
     req.on('data', chunk => {
@@ -36,152 +293,186 @@ async function parseJsonBody(req) {
         req.destroy();
       }
     });
-    req.on('end', () => {
-      if (!data) {
-        resolve({});
-        return;
-      }
-      try {
-        resolve(JSON.parse(data));
-      } catch (err) {
-        reject(err);
-      }
-    });
+    req.on('end', () => resolve(data));
     req.on('error', reject);
   });
 }
 
-async function parseMultipartForm(req) {
-  return new Promise((resolve, reject) => {
-    let fileTooLarge = false;
-    const fields = {};
-    let inputReference = null;
-
-    let busboy;
-    try {
-      busboy = Busboy({
-        headers: req.headers,
-        limits: { fileSize: MAX_REFERENCE_BYTES },
-      });
-    } catch (err) {
-      reject(err);
-      return;
+// 署名検証のため、文字コードを解釈せずにバイト列のまま読む
+async function readRawBody(req, limit = 1e6) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      req.destroy();
+      throw httpError(413, 'Payload too large');
     }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
 
-    busboy.on('field', (name, value) => {
-      fields[name] = value;
-    });
+async function parseJsonBody(req) {
+  const data = await readTextBody(req);
+  return data ? JSON.parse(data) : {};
+}
 
-    busboy.on('file', (name, file, info) => {
-      if (name !== 'input_reference') {
-        file.resume();
-        return;
-      }
-      if (inputReference) {
-        file.resume();
+// 本文が JSON オブジェクトでなければ、注釈やテンプレートの API と同じ形のフィールドエラーを返す
+function jsonObjectErrors(body) {
+  return body && typeof body === 'object' && !Array.isArray(body)
+    ? []
+    : [fieldError('body', 'invalid_format', 'request body must be a JSON object')];
+}
+
+function uploadTempPath() {
+  return path.join(UPLOAD_DIR, `upload-${crypto.randomUUID()}`);
+}
+
+/**
+ * multipart のフィールドを読み、input_reference はメモリに溜めずに一時ファイルへ流し込む。
+ * 種類と縦横はクライアントの Content-Type ではなくファイルの中身から判定する。
+ * 戻り値の inputReference.path は呼び出し側が使い終わったら消す（discardUpload）。
+ */
+async function parseMultipartForm(req) {
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  const fields = {};
+  let upload = null;
+  let fileTooLarge = false;
+  try {
+    await new Promise((resolve, reject) => {
+      let writing = Promise.resolve();
+      let streams = [];
+      let busboy;
+      try {
+        busboy = Busboy({
+          headers: req.headers,
+          // ブラウザはフィールド名（テンプレート変数名）やファイル名を UTF-8 のまま送る
+          defParamCharset: 'utf8',
+          limits: { fileSize: MAX_REFERENCE_BYTES },
+        });
+      } catch (err) {
+        reject(err);
         return;
       }
 
-      const chunks = [];
-      const { filename, mimeType } = info;
-
-      file.on('data', chunk => {
-        chunks.push(chunk);
-      });
+      // 接続が切れると busboy は close も error も出さないので、ここで書き込みを止めて失敗にする
+      const abort = (err) => {
+        req.unpipe(busboy);
+        for (const stream of streams) {
+          stream.destroy();
+        }
+        reject(err);
+      };
+      req.on('aborted', () => abort(httpError(400, 'Upload aborted')));
+      req.on('error', abort);
+      busboy.on('error', abort);
 
-      file.on('limit', () => {
-        fileTooLarge = true;
-        file.resume();
+      busboy.on('field', (name, value) => {
+        fields[name] = value;
       });
 
-      file.on('end', () => {
-        if (fileTooLarge) {
+      busboy.on('file', (name, file, info) => {
+        if (name !== 'input_reference' || upload) {
+          file.resume();
           return;
         }
-        inputReference = {
-          buffer: Buffer.concat(chunks),
-          filename: filename || 'input_reference',
-          mimeType: mimeType || 'application/octet-stream',
-        };
+        const current = { path: uploadTempPath(), filename: info.filename || 'input_reference', size: 0 };
+        const output = fs.createWriteStream(current.path);
+        upload = current;
+        file.on('limit', () => {
+          fileTooLarge = true;
+        });
+        streams = [file, output];
+        writing = pipeline(file, output).then(() => {
+          current.size = output.bytesWritten;
+        });
+        // close より前に書き込みが失敗しても、未処理の reject にせずその場で失敗にする
+        writing.catch(abort);
+      });
+
+      // ファイルの書き込みが終わるまで待ってから返す
+      busboy.on('close', () => {
+        writing.then(resolve, reject);
       });
+      req.pipe(busboy);
     });
+  } catch (err) {
+    await discardUpload(upload);
+    throw err;
+  }
 
-    busboy.on('close', () => {
-      if (fileTooLarge) {
-        reject(new Error('input_reference must not exceed 25MB'));
-        return;
-      }
-      resolve({ fields, inputReference });
+  if (fileTooLarge) {
+    await discardUpload(upload);
+    throw httpError(413, 'Validation error', {
+      errors: [fieldError('input_reference', 'too_large', referenceTooLargeMessage(validationPolicy))],
     });
+  }
+  if (!upload) {
+    return { fields, inputReference: null };
+  }
+  try {
+    return { fields, inputReference: { ...upload, ...(await probeMediaFile(upload.path)) } };
+  } catch (err) {
+    await discardUpload(upload);
+    throw err;
+  }
+}
 
-    busboy.on('error', reject);
-    req.pipe(busboy);
-  });
+async function discardUpload(upload) {
+  if (upload) {
+    await fs.promises.rm(upload.path, { force: true });
+  }
 }
 
-function serveStatic(req, res, filePath) {
-  const resolvedPath = path.join(__dirname, 'public', filePath);
-  fs.stat(resolvedPath, (err, stats) => {
-    if (err || !stats.isFile()) {
-      notFound(res);
-      return;
-    }
+// 許可リストにある Origin にだけ CORS ヘッダを返す（ワイルドカードは使わない）
+function corsHeadersFor(req) {
+  const origin = req.headers.origin;
+  if (!origin || !CORS_ORIGINS.includes(origin)) {
+    return {};
+  }
+  return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+}
 
-    const ext = path.extname(resolvedPath).toLowerCase();
-    const mimeTypes = {
-      '.html': 'text/html; charset=utf-8',
-      '.css': 'text/css; charset=utf-8',
-      '.js': 'application/javascript; charset=utf-8',
-      '.json': 'application/json; charset=utf-8',
-      '.png': 'image/png',
-      '.jpg': 'image/jpeg',
-      '.jpeg': 'image/jpeg',
-      '.svg': 'image/svg+xml',
-    };
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
+// Origin が付いていれば、自分自身か許可リストのものだけを受け付ける
+function isTrustedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  return CORS_ORIGINS.includes(origin) || origin === `http://${req.headers.host}` || origin === `https://${req.headers.host}`;
+}
 
-    res.writeHead(200, { 'Content-Type': contentType });
-    fs.createReadStream(resolvedPath).pipe(res);
-  });
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+async function serveStatic(req, res, urlPath) {
+  if (!(await staticFiles.serve(req, res, urlPath))) {
+    notFound(res);
+  }
 }
 
 function sanitizeVideoParams(params, inputReference) {
-  const errors = [];
+  const { defaults } = validationPolicy;
   // 後方互換のため旧フィールド名を新フィールドへマップ
   const prompt = params.prompt;
-  const model = params.model ?? 'sora-2';
-  const size = (params.size || params.resolution || '720x1280');
+  const model = params.model || defaults.model;
+  const size = params.size || params.resolution || defaults.size;
   const rawSeconds =
-    params.seconds != null
+    params.seconds != null && params.seconds !== ''
       ? params.seconds
       : params.durationSeconds != null
         ? params.durationSeconds
-        : '4';
+        : defaults.seconds;
   const seconds = typeof rawSeconds === 'string' ? rawSeconds : String(rawSeconds);
 
-  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
-    errors.push('prompt is required');
-  }
-  const allowedModels = ['sora-2', 'sora-2-pro'];
-  if (!allowedModels.includes(model)) {
-    errors.push('model must be one of sora-2, sora-2-pro');
-  }
-  const sizePattern = /^\d{3,5}x\d{3,5}$/;
-  if (!sizePattern.test(size)) {
-    errors.push('size must follow WIDTHxHEIGHT');
-  }
-  const allowedSeconds = ['4', '8', '12'];
-  if (!allowedSeconds.includes(seconds)) {
-    errors.push('seconds must be one of 4, 8, 12');
-  }
-
-  if (inputReference && inputReference.buffer.length === 0) {
-    errors.push('input_reference file is empty');
-  }
+  const errors = validateVideoParams({ prompt, model, size, seconds }, inputReference, validationPolicy);
 
   return {
     errors,
-    prompt: prompt ? prompt.trim() : '',
+    prompt: typeof prompt === 'string' ? prompt.trim() : '',
     model,
     size,
     seconds,
@@ -189,79 +480,44 @@ function sanitizeVideoParams(params, inputReference) {
   };
 }
 
-async function callOpenAIVideoCreate(params) {
-  if (!API_KEY) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
-  const formData = new FormData();
-  formData.set('model', params.model);
-  formData.set('prompt', params.prompt);
-  formData.set('seconds', params.seconds);
-  formData.set('size', params.size);
-  if (params.inputReference) {
-    const blob = new Blob([params.inputReference.buffer], {
-      type: params.inputReference.mimeType || 'application/octet-stream',
-    });
-    formData.append('input_reference', blob, params.inputReference.filename);
-  }
-
-  const response = await fetch('https://api.openai.com/v1/videos', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${API_KEY}`,
-    },
-    body: formData,
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
+function webBodyToReadable(body) {
+  if (typeof body.pipe === 'function') {
+    return body;
   }
-
-  return response.json();
-}
-
-async function callOpenAIVideoStatus(providerVideoId) {
-  if (!API_KEY) {
-    throw new Error('OPENAI_API_KEY is not configured');
+  if (Readable.fromWeb) {
+    return Readable.fromWeb(body);
   }
-  const response = await fetch(`https://api.openai.com/v1/videos/${providerVideoId}`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${API_KEY}`,
+  const reader = body.getReader();
+  return new Readable({
+    read() {
+      reader
+        .read()
+        .then(({ done, value }) => {
+          this.push(done ? null : Buffer.from(value));
+        })
+        .catch((err) => {
+          this.destroy(err);
+        });
     },
   });
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error (${response.status}): ${errorText}`);
-  }
-  return response.json();
 }
 
-async function pipeOpenAIContent(req, res, providerVideoId) {
-  if (!API_KEY) {
-    res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({ message: 'OPENAI_API_KEY is not configured' }));
-    return;
-  }
-
-  const headers = {
-    'Authorization': `Bearer ${API_KEY}`,
-  };
+async function pipeProviderContent(req, res, providerVideoId, variant = 'video') {
+  const headers = {};
   if (req.headers['range']) {
     headers['Range'] = req.headers['range'];
   }
 
-  const response = await fetch(`https://api.openai.com/v1/videos/${providerVideoId}/content`, {
-    method: 'GET',
-    headers,
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    res.writeHead(response.status, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({ message: errorText }));
+  let response;
+  try {
+    response = await provider.fetchContent(providerVideoId, { headers, variant });
+    if (!response.ok && response.status !== 416) {
+      throw await errorFromResponse(response);
+    }
+  } catch (err) {
+    const { statusCode, details } = providerHttpError(err);
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ message: err.message, ...details }));
     return;
   }
 
@@ -281,50 +537,901 @@ async function pipeOpenAIContent(req, res, providerVideoId) {
     passthroughHeaders['Content-Range'] = contentRange;
   }
   res.writeHead(response.status, passthroughHeaders);
-  const body = response.body;
-  if (body) {
-    if (typeof body.pipe === 'function') {
-      body.pipe(res);
-      return;
+  if (req.method === 'HEAD') {
+    // ヘッダだけ返し、上流の本文は読まずに捨てる
+    if (response.body) {
+      response.body.cancel().catch(() => {});
     }
-    if (Readable.fromWeb) {
-      Readable.fromWeb(body).pipe(res);
-      return;
+    res.end();
+    return;
+  }
+  if (response.body) {
+    webBodyToReadable(response.body)
+      .on('error', (err) => res.destroy(err))
+      .pipe(res);
+    return;
+  }
+  res.end();
+}
+
+/**
+ * 動画本体は contentCachedAt / contentBytes / cacheError に、
+ * サムネイル等は assets[variant] に { contentType, bytes, cachedAt | error } を記録する。
+ */
+function cacheVideoContent(record, variant = 'video') {
+  if (!provider.isConfigured() || !record.providerVideoId || record.status !== 'completed') {
+    return Promise.resolve(null);
+  }
+  let contentType = 'video/mp4';
+  return contentCache
+    .store(record.id, async () => {
+      const response = await provider.fetchContent(record.providerVideoId, { variant });
+      if (!response.ok || !response.body) {
+        throw await errorFromResponse(response);
+      }
+      contentType = response.headers.get('content-type') || contentType;
+      return webBodyToReadable(response.body);
+    }, variant)
+    .then((stats) => {
+      if (variant === 'video') {
+        record.contentCachedAt = new Date().toISOString();
+        record.contentBytes = stats.size;
+        delete record.cacheError;
+      } else {
+        record.assets = {
+          ...record.assets,
+          [variant]: { contentType, bytes: stats.size, cachedAt: new Date().toISOString() },
+        };
+      }
+      persistVideos();
+      return stats;
+    })
+    .catch((err) => {
+      if (videos.get(record.id) !== record) {
+        // ダウンロード中に削除された
+        return null;
+      }
+      logger.warn('Failed to cache provider content', { videoId: record.id, variant, err });
+      if (variant === 'video') {
+        record.cacheError = err.message;
+      } else {
+        record.assets = { ...record.assets, [variant]: { error: err.message } };
+      }
+      persistVideos();
+      return null;
+    });
+}
+
+function cacheVideoAssets(record) {
+  return Promise.all(CONTENT_VARIANTS.map((variant) => cacheVideoContent(record, variant)));
+}
+
+function auditParams(record) {
+  return {
+    prompt: record.prompt,
+    model: record.model,
+    size: record.size,
+    seconds: record.seconds,
+    inputReference: Boolean(record.input_reference),
+  };
+}
+
+// プロバイダの応答から監査ログに残す項目だけを抜き出す（usage があればそのまま残す）
+function summarizeProviderResponse(apiResponse) {
+  if (!apiResponse) {
+    return null;
+  }
+  const summary = {};
+  for (const key of ['id', 'object', 'status', 'model', 'size', 'seconds', 'created_at', 'completed_at', 'usage']) {
+    if (apiResponse[key] !== undefined) {
+      summary[key] = apiResponse[key];
     }
-    const reader = body.getReader();
-    const pump = () => {
-      reader
-        .read()
-        .then(({ done, value }) => {
-          if (done) {
-            res.end();
-            return;
+  }
+  return summary;
+}
+
+function buildVideoRecord(sanitized, estimate) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    providerVideoId: null,
+    status: 'pending_local',
+    progress: 0,
+    prompt: sanitized.prompt,
+    model: sanitized.model,
+    // 新フィールド
+    size: sanitized.size,
+    seconds: sanitized.seconds,
+    // 旧フィールド（後方互換のため併記）
+    resolution: sanitized.size,
+    durationSeconds: sanitized.seconds,
+    input_reference: Boolean(sanitized.inputReference),
+    costEstimateUsd: estimate ? estimate.usd : null,
+    createdAt: now,
+    updatedAt: now,
+    metadata: {},
+  };
+}
+
+// 送信を待つ間に取り消し・削除されたレコードか（即時送信のレコードは送信後に videos へ入れるので tracked で区別する）
+function isWithdrawn(record, tracked = true) {
+  return record.status === 'cancelled' || (tracked && videos.get(record.id) !== record);
+}
+
+/**
+ * プロバイダへ送信し、応答をレコードに反映する。
+ * 待つ間に取り消し・削除されていた場合は作られたジョブを引き取らずに消し、null を返す。
+ */
+async function submitVideo(record, params) {
+  submittingIds.add(record.id);
+  const tracked = videos.get(record.id) === record;
+  try {
+    const apiResponse = record.remixOfProviderVideoId
+      ? await provider.remixVideo(record.remixOfProviderVideoId, { prompt: params.prompt })
+      : await provider.createVideo(params);
+    const providerVideoId = apiResponse.id || apiResponse.video_id || apiResponse.videoId;
+    if (isWithdrawn(record, tracked)) {
+      const providerResult = await deleteProviderVideo({ providerVideoId });
+      logger.info('Discarded provider job for a withdrawn video', { videoId: record.id, providerVideoId });
+      audit.append('video.submit_discarded', { videoId: record.id, providerVideoId, provider: providerResult });
+      return null;
+    }
+    record.providerVideoId = providerVideoId;
+    record.status = apiResponse.status || 'queued';
+    record.progress = typeof apiResponse.progress === 'number' ? apiResponse.progress : 0;
+    record.metadata = apiResponse.metadata || {};
+    record.submittedAt = new Date().toISOString();
+    record.statusChangedAt = record.submittedAt;
+    record.updatedAt = record.submittedAt;
+    delete record.queuePosition;
+    return apiResponse;
+  } finally {
+    submittingIds.delete(record.id);
+  }
+}
+
+function inFlightCount() {
+  let count = submittingIds.size;
+  for (const record of videos.values()) {
+    if (record.providerVideoId && ['queued', 'in_progress'].includes(record.status)) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+function pendingRecords() {
+  return Array.from(videos.values())
+    .filter((record) => record.status === 'pending_local' && !submittingIds.has(record.id))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function canSubmitImmediately() {
+  return inFlightCount() < MAX_CONCURRENT_JOBS && pendingRecords().length === 0;
+}
+
+function updateQueuePositions() {
+  pendingRecords().forEach((record, index) => {
+    if (record.queuePosition !== index + 1) {
+      record.queuePosition = index + 1;
+      publishVideoEvent(record);
+    }
+  });
+}
+
+function spooledReferencePath(videoId) {
+  return path.join(UPLOAD_DIR, videoId);
+}
+
+// 待機中のジョブはアップロード済みの一時ファイルをジョブ ID の名前で残しておき、送信後に消す
+async function spoolReference(record, inputReference) {
+  await fs.promises.rename(inputReference.path, spooledReferencePath(record.id));
+  record.referenceFile = {
+    filename: inputReference.filename,
+    mimeType: inputReference.mimeType,
+    size: inputReference.size,
+    width: inputReference.width,
+    height: inputReference.height,
+  };
+}
+
+function loadSpooledReference(record) {
+  if (!record.referenceFile) {
+    return null;
+  }
+  return { ...record.referenceFile, path: spooledReferencePath(record.id) };
+}
+
+async function discardSpooledReference(record) {
+  if (!record.referenceFile) {
+    return;
+  }
+  await fs.promises.rm(spooledReferencePath(record.id), { force: true });
+  delete record.referenceFile;
+}
+
+// 一時的な失敗のあと、Retry-After（無ければ指数バックオフ）だけ待ってから送信を再開する
+function scheduleQueueRetry(err) {
+  queueRetryFailures += 1;
+  const backoff = Math.min(POLL_INTERVAL_MS * 2 ** (queueRetryFailures - 1), MAX_POLL_BACKOFF_MS);
+  const delay = Math.max(backoff, err.retryAfterMs || 0);
+  clearTimeout(queueRetryTimer);
+  queueRetryTimer = requestContext.exit(() => setTimeout(() => {
+    queueRetryTimer = null;
+    pumpQueue();
+  }, delay));
+  return delay;
+}
+
+/**
+ * 空きスロットがある限り、待機中のジョブを古い順にプロバイダへ送信する。
+ * 実行中に再度呼ばれた場合は、現在のループが終わった後にもう一巡する。
+ * プロバイダが一時的に使えない間はジョブを失敗にせず待機列に残し、scheduleQueueRetry の再開を待つ。
+ */
+async function pumpQueue() {
+  // リクエストから呼ばれても、送信は裏方の処理としてログに残す
+  if (requestContext.getStore()) {
+    return requestContext.exit(pumpQueue);
+  }
+  if (queuePumping) {
+    queuePumpRequested = true;
+    return;
+  }
+  queuePumping = true;
+  try {
+    do {
+      queuePumpRequested = false;
+      while (!queueRetryTimer && inFlightCount() < MAX_CONCURRENT_JOBS) {
+        const next = pendingRecords()[0];
+        if (!next) {
+          break;
+        }
+        try {
+          const inputReference = loadSpooledReference(next);
+          const apiResponse = await submitVideo(next, {
+            prompt: next.prompt,
+            model: next.model,
+            size: next.size,
+            seconds: next.seconds,
+            inputReference,
+          });
+          if (!apiResponse) {
+            continue;
           }
-          res.write(Buffer.from(value));
-          pump();
-        })
-        .catch((err) => {
-          res.destroy(err);
-        });
-    };
-    pump();
+          queueRetryFailures = 0;
+          delete next.lastError;
+          delete next.lastErrorCode;
+          await discardSpooledReference(next);
+          audit.append('video.submit', {
+            videoId: next.id,
+            providerVideoId: next.providerVideoId,
+            waitedMs: Date.parse(next.submittedAt) - Date.parse(next.createdAt),
+            response: summarizeProviderResponse(apiResponse),
+          });
+        } catch (err) {
+          if (isWithdrawn(next)) {
+            continue;
+          }
+          if (isTransientError(err)) {
+            const retryInMs = scheduleQueueRetry(err);
+            next.lastError = err.message;
+            next.lastErrorCode = providerErrorCode(err);
+            next.updatedAt = new Date().toISOString();
+            logger.warn('Queued video submission deferred', { videoId: next.id, retryInMs, err });
+            audit.append('video.submit_deferred', { videoId: next.id, errorCode: next.lastErrorCode, retryInMs });
+            persistVideos();
+            publishVideoEvent(next, 'progress');
+            continue;
+          }
+          next.status = 'failed';
+          next.errorMessage = err.message;
+          next.errorCode = providerErrorCode(err);
+          next.updatedAt = new Date().toISOString();
+          delete next.queuePosition;
+          await discardSpooledReference(next).catch(() => {});
+          logger.warn('Queued video submission failed', { videoId: next.id, err });
+          audit.append('video.submit_failed', { videoId: next.id, error: err.message, errorCode: next.errorCode });
+        }
+        persistVideos();
+        publishVideoEvent(next);
+        if (next.providerVideoId) {
+          scheduleStatusPoll(next.id);
+        }
+      }
+      updateQueuePositions();
+      persistVideos();
+    } while (queuePumpRequested);
+  } finally {
+    queuePumping = false;
+  }
+}
+
+function assertWithinBudget(estimateUsd, subject = 'this job') {
+  const exceeded = findExceededBudget(estimateUsd, currentSpend(), BUDGET_LIMITS);
+  if (exceeded) {
+    const label = exceeded.period === 'daily' ? 'Daily' : 'Monthly';
+    throw httpError(
+      402,
+      `${label} budget of $${exceeded.limit.toFixed(2)} would be exceeded ` +
+        `(spent $${exceeded.spent.toFixed(2)}, ${subject} $${estimateUsd.toFixed(2)})`,
+      { code: 'budget_exceeded', budget: currentBudget() },
+    );
+  }
+}
+
+/**
+ * 予算チェック → 即時送信またはローカルキュー投入 → レコード登録までを行う。
+ * extraFields は retryOf などの系譜情報をレコードへ載せるために使う。
+ */
+async function createVideoJob(sanitized, extraFields = {}) {
+  const estimate = estimateCost(sanitized, pricing);
+  assertWithinBudget(estimate ? estimate.usd : 0);
+  const record = { ...buildVideoRecord(sanitized, estimate), ...extraFields };
+  // 送信を待つ間に来た別の要求が同じ残額で通らないよう、videos に入るまで見積額を確保しておく
+  reservedRecords.add(record);
+  try {
+    return await registerVideoJob(record, sanitized, extraFields);
+  } finally {
+    reservedRecords.delete(record);
+  }
+}
+
+// createVideoJob の本体（即時送信またはローカルキュー投入 → レコード登録）
+async function registerVideoJob(record, sanitized, extraFields) {
+  let action = 'video.create';
+  if (record.retryOf) {
+    action = 'video.retry';
+  } else if (record.remixOf) {
+    action = 'video.remix';
+  }
+  let apiResponse = null;
+  if (canSubmitImmediately()) {
+    try {
+      apiResponse = await submitVideo(record, sanitized);
+    } catch (err) {
+      logger.warn('Provider rejected video creation', { videoId: record.id, err });
+      audit.append(`${action}_failed`, {
+        videoId: record.id,
+        params: auditParams(record),
+        ...extraFields,
+        error: err.message,
+        errorCode: providerErrorCode(err),
+      });
+      throw providerHttpError(err);
+    }
+  } else {
+    // 同時実行数の上限に達しているのでローカルキューで待たせる
+    if (sanitized.inputReference) {
+      await spoolReference(record, sanitized.inputReference);
+    }
+    record.queuePosition = pendingRecords().length + 1;
+  }
+  sanitized.inputReference = null;
+
+  videos.set(record.id, record);
+  updateQueuePositions();
+  persistVideos();
+  publishVideoEvent(record, 'created');
+  audit.append(action, {
+    videoId: record.id,
+    providerVideoId: record.providerVideoId,
+    status: record.status,
+    params: auditParams(record),
+    costEstimateUsd: record.costEstimateUsd,
+    ...extraFields,
+    response: summarizeProviderResponse(apiResponse),
+  });
+  if (record.providerVideoId) {
+    scheduleStatusPoll(record.id);
+  }
+  return record;
+}
+
+/**
+ * 複数のジョブをまとめて登録する。途中で一部だけ作られないよう、予算は合計額で先にチェックし、
+ * 子ジョブはすべてローカルキューへ入れてから pumpQueue に送信させる。
+ */
+function createBatch(sanitizedList, { name, source }) {
+  const estimates = sanitizedList.map((sanitized) => estimateCost(sanitized, pricing));
+  const totalUsd = estimates.reduce((sum, estimate) => sum + (estimate ? estimate.usd : 0), 0);
+  assertWithinBudget(totalUsd, 'this batch');
+
+  const batch = {
+    id: crypto.randomUUID(),
+    name: name || `バッチ ${new Date().toLocaleString('ja-JP')}`,
+    source,
+    videoIds: [],
+    createdAt: new Date().toISOString(),
+  };
+  const records = sanitizedList.map((sanitized, index) => {
+    const record = { ...buildVideoRecord(sanitized, estimates[index]), batchId: batch.id };
+    record.queuePosition = pendingRecords().length + 1;
+    videos.set(record.id, record);
+    batch.videoIds.push(record.id);
+    publishVideoEvent(record, 'created');
+    audit.append('video.create', {
+      videoId: record.id,
+      status: record.status,
+      params: auditParams(record),
+      costEstimateUsd: record.costEstimateUsd,
+      batchId: batch.id,
+    });
+    return record;
+  });
+  batches.set(batch.id, batch);
+  audit.append('batch.create', {
+    batchId: batch.id,
+    name: batch.name,
+    source,
+    videoIds: batch.videoIds,
+    costEstimateUsd: Math.round(totalUsd * 100) / 100,
+  });
+  persistBatches();
+  persistVideos();
+  eventStream.publish('batch', { batch: summarizeBatch(batch, videos) });
+  pumpQueue();
+  return { batch, records };
+}
+
+function listTemplates() {
+  return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+}
+
+function createTemplate(body) {
+  const { changes, errors } = sanitizeTemplate(body, validationPolicy);
+  if (errors.length > 0) {
+    throw httpError(400, 'Validation error', { errors });
+  }
+  const now = new Date().toISOString();
+  const template = { id: crypto.randomUUID(), ...changes, createdAt: now, updatedAt: now };
+  templates.set(template.id, template);
+  persistTemplates();
+  audit.append('template.create', { templateId: template.id, name: template.name });
+  eventStream.publish('template', { template });
+  return template;
+}
+
+function updateTemplate(template, body) {
+  const { changes, errors } = sanitizeTemplate(body, validationPolicy, template);
+  if (errors.length > 0) {
+    throw httpError(400, 'Validation error', { errors });
+  }
+  Object.assign(template, changes, { updatedAt: new Date().toISOString() });
+  persistTemplates();
+  audit.append('template.update', { templateId: template.id, changes });
+  eventStream.publish('template', { template });
+  return template;
+}
+
+function deleteTemplate(template) {
+  templates.delete(template.id);
+  persistTemplates();
+  audit.append('template.delete', { templateId: template.id, name: template.name });
+  eventStream.publish('template_deleted', { templateId: template.id });
+}
+
+/**
+ * templateId が指定された生成リクエストを、テンプレートを展開した通常のパラメータに置き換える。
+ * 変数の値は JSON の `variables` オブジェクト（multipart では JSON 文字列）か、
+ * フォームの `variables.<name>` フィールドで受け取る。
+ * model / size / seconds は送られた値を優先し、なければテンプレートの既定値を使う。
+ * 作ったレコードに残す { id, name, values } を template として返す。
+ */
+function applyVideoTemplate(rawParams) {
+  const bodyErrors = jsonObjectErrors(rawParams);
+  if (bodyErrors.length > 0) {
+    return { errors: bodyErrors };
+  }
+  if (!rawParams.templateId) {
+    return { params: rawParams, template: null, errors: [] };
+  }
+  const template = templates.get(rawParams.templateId);
+  if (!template) {
+    return { errors: [fieldError('templateId', 'not_found', `template ${rawParams.templateId} not found`)] };
+  }
+  if (rawParams.prompt) {
+    return { errors: [fieldError('prompt', 'unsupported', 'prompt cannot be combined with templateId')] };
+  }
+  let values = rawParams.variables || {};
+  if (typeof values === 'string') {
+    try {
+      values = JSON.parse(values);
+    } catch (err) {
+      values = null;
+    }
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    return { errors: [fieldError('variables', 'invalid_format', 'variables must be a JSON object')] };
+  }
+  for (const [key, value] of Object.entries(rawParams)) {
+    if (key.startsWith('variables.')) {
+      values = { ...values, [key.slice('variables.'.length)]: value };
+    }
+  }
+  const rendered = renderTemplate(template, values);
+  if (rendered.errors.length > 0) {
+    return { errors: rendered.errors };
+  }
+  return {
+    params: {
+      ...rawParams,
+      prompt: rendered.prompt,
+      model: rawParams.model || template.model,
+      size: rawParams.size || template.size,
+      seconds: rawParams.seconds || template.seconds,
+    },
+    template: { id: template.id, name: template.name, values: rendered.values },
+    errors: [],
+  };
+}
+
+function listBatchSummaries() {
+  return Array.from(batches.values())
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map((batch) => summarizeBatch(batch, videos));
+}
+
+/**
+ * 全レコード・バッチの manifest.json と、ローカルにキャッシュ済みのファイルを tar のエントリにする。
+ * 本文は書き出す直前にキャッシュから読むので、大きなライブラリでもメモリに載せない。
+ */
+async function buildExportEntries() {
+  const records = Array.from(videos.values())
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const media = [];
+  const files = [];
+  for (const record of records) {
+    for (const variant of CONTENT_VARIANTS) {
+      const stats = await contentCache.stat(record.id, variant);
+      if (!stats) {
+        continue;
+      }
+      const name = mediaEntryName(record.id, variant);
+      media.push({ videoId: record.id, variant, path: name, size: stats.size });
+      files.push({
+        name,
+        size: stats.size,
+        mtime: stats.mtime,
+        open: () => contentCache.open(record.id, variant),
+      });
+    }
+  }
+  const manifest = buildManifest({ records, batches: Array.from(batches.values()), media });
+  const body = Buffer.from(JSON.stringify(manifest, null, 2));
+  return {
+    entries: [{ name: MANIFEST_NAME, size: body.length, body }, ...files],
+    summary: { records: records.length, batches: manifest.batches.length, media: media.length },
+  };
+}
+
+// アップロードされたアーカイブを上限付きで一時ファイルへ書き出す
+async function spoolImportArchive(req) {
+  if (Number(req.headers['content-length']) > MAX_IMPORT_BYTES) {
+    throw httpError(413, `Archive must not exceed ${MAX_IMPORT_BYTES} bytes`);
+  }
+  await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+  const archivePath = path.join(UPLOAD_DIR, `import-${crypto.randomUUID()}.tar`);
+  let received = 0;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_IMPORT_BYTES) {
+        callback(httpError(413, `Archive must not exceed ${MAX_IMPORT_BYTES} bytes`));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  try {
+    await pipeline(req, limiter, fs.createWriteStream(archivePath));
+  } catch (err) {
+    await fs.promises.rm(archivePath, { force: true });
+    throw err;
+  }
+  return archivePath;
+}
+
+/**
+ * エクスポートしたアーカイブを取り込む。providerVideoId が既存と重複するレコードなどは
+ * 取り込まずに conflicts で返す。生成途中のレコードはポーリングを再開する。
+ */
+async function importLibrary(archivePath) {
+  let entries;
+  let manifest;
+  try {
+    entries = await listTarEntries(archivePath);
+    const manifestEntry = entries.find((entry) => entry.name === MANIFEST_NAME);
+    if (!manifestEntry) {
+      throw new Error(`Archive does not contain ${MANIFEST_NAME}`);
+    }
+    manifest = parseManifest(await readTarEntry(archivePath, manifestEntry));
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+
+  // 重複判定から登録までは await を挟まず、同時に取り込まれても二重登録しないようにする
+  const plan = planImport(manifest, videos);
+  const importedAt = new Date().toISOString();
+  for (const record of plan.records) {
+    record.importedAt = importedAt;
+    videos.set(record.id, record);
+  }
+  for (const batch of plan.batches) {
+    const existing = batches.get(batch.id);
+    if (existing) {
+      existing.videoIds = Array.from(new Set([...existing.videoIds, ...batch.videoIds]));
+    } else {
+      batches.set(batch.id, batch);
+    }
+  }
+  persistVideos();
+  if (plan.batches.length > 0) {
+    persistBatches();
+  }
+
+  let mediaCount = 0;
+  for (const item of plan.media) {
+    const entry = entries.find((candidate) => candidate.name === item.path);
+    if (!entry || entry.size === 0 || !CONTENT_VARIANTS.includes(item.variant)) {
+      continue;
+    }
+    try {
+      await contentCache.store(item.videoId, async () => fs.createReadStream(archivePath, {
+        start: entry.offset,
+        end: entry.offset + entry.size - 1,
+      }), item.variant);
+      mediaCount += 1;
+    } catch (err) {
+      logger.error('Failed to import cached content', { videoId: item.videoId, variant: item.variant, err });
+    }
+  }
+
+  for (const record of plan.records) {
+    if (record.providerVideoId && ['queued', 'in_progress'].includes(record.status)) {
+      scheduleStatusPoll(record.id);
+    }
+  }
+  const result = {
+    imported: plan.records.length,
+    batches: plan.batches.length,
+    media: mediaCount,
+    conflicts: plan.conflicts,
+  };
+  audit.append('library.import', {
+    imported: result.imported,
+    skipped: result.conflicts.length,
+    batches: result.batches,
+    media: result.media,
+    videoIds: plan.records.map((record) => record.id),
+  });
+  eventStream.publish('import', { imported: result.imported });
+  return result;
+}
+
+function stopStatusPoll(videoId) {
+  const handle = pollHandles.get(videoId);
+  if (handle) {
+    clearTimeout(handle);
+  }
+  pollHandles.delete(videoId);
+  pollTriggers.delete(videoId);
+}
+
+// OpenAI には取り消し API が無いため、プロバイダ側の削除で代用する（失敗しても続行）
+async function deleteProviderVideo(record) {
+  if (!record.providerVideoId) {
+    return { deleted: false };
+  }
+  try {
+    await provider.deleteVideo(record.providerVideoId);
+    return { deleted: true };
+  } catch (err) {
+    return { deleted: false, error: err.message };
+  }
+}
+
+async function cancelVideo(record) {
+  if (!['pending_local', 'queued', 'in_progress'].includes(record.status)) {
+    throw httpError(409, `Video in status ${record.status} cannot be cancelled`);
+  }
+  if (submittingIds.has(record.id)) {
+    // 送信の応答を待っている間は提供元のジョブ ID がまだ無く、消せない
+    throw httpError(409, 'Video is being submitted to the provider; try again shortly');
+  }
+  stopStatusPoll(record.id);
+  await discardSpooledReference(record);
+  const providerResult = await deleteProviderVideo(record);
+  audit.append('video.cancel', {
+    videoId: record.id,
+    providerVideoId: record.providerVideoId,
+    from: record.status,
+    provider: providerResult,
+  });
+  record.status = 'cancelled';
+  record.cancelledAt = new Date().toISOString();
+  record.updatedAt = record.cancelledAt;
+  delete record.queuePosition;
+  persistVideos();
+  publishVideoEvent(record);
+  pumpQueue();
+  return providerResult;
+}
+
+async function deleteVideo(record) {
+  stopStatusPoll(record.id);
+  const providerResult = await deleteProviderVideo(record);
+  await discardSpooledReference(record);
+  // 先に一覧から外し、中断されたキャッシュのダウンロードがレコードへ書き戻さないようにする
+  videos.delete(record.id);
+  persistVideos();
+  await contentCache.remove(record.id);
+  audit.append('video.delete', {
+    videoId: record.id,
+    providerVideoId: record.providerVideoId,
+    status: record.status,
+    params: auditParams(record),
+    provider: providerResult,
+  });
+  eventStream.publish('deleted', { videoId: record.id });
+  pumpQueue();
+  return providerResult;
+}
+
+/**
+ * 利用者が付ける項目（title / tags / favorite / rating / notes）を更新する。
+ * 生成パラメータや状態には触れず、annotatedAt に更新時刻を残す。
+ */
+function annotateVideo(record, body) {
+  const { changes, errors } = sanitizeAnnotationPatch(body);
+  if (errors.length > 0) {
+    throw httpError(400, 'Validation error', { errors });
+  }
+  for (const [field, value] of Object.entries(changes)) {
+    // 空にした項目はレコードから取り除く
+    if (value === null || value === false || (Array.isArray(value) && value.length === 0)) {
+      delete record[field];
+    } else {
+      record[field] = value;
+    }
+  }
+  record.annotatedAt = new Date().toISOString();
+  persistVideos();
+  audit.append('video.annotate', { videoId: record.id, changes });
+  publishVideoEvent(record, 'updated');
+  return record;
+}
+
+async function retryVideo(record) {
+  if (!['failed', 'stalled', 'cancelled'].includes(record.status)) {
+    throw httpError(409, `Only failed, stalled or cancelled videos can be retried (status: ${record.status})`);
+  }
+  if (record.input_reference) {
+    // 参照メディアはサーバに保存していないので再送できない
+    throw httpError(409, 'Videos generated with input_reference cannot be retried; submit the reference again');
+  }
+  const sanitized = sanitizeVideoParams(record, null);
+  if (sanitized.errors.length > 0) {
+    throw httpError(400, 'Validation error', { errors: sanitized.errors });
+  }
+  const lineage = record.remixOfProviderVideoId
+    ? { remixOf: record.remixOf, remixOfProviderVideoId: record.remixOfProviderVideoId }
+    : {};
+  const origin = record.template ? { template: record.template } : {};
+  const retried = await createVideoJob(sanitized, { ...lineage, ...origin, retryOf: record.id });
+  record.retriedBy = retried.id;
+  record.updatedAt = new Date().toISOString();
+  persistVideos();
+  publishVideoEvent(record, 'progress');
+  return retried;
+}
+
+async function remixVideo(record, rawParams) {
+  if (record.status !== 'completed' || !record.providerVideoId) {
+    throw httpError(409, `Only completed videos can be remixed (status: ${record.status})`);
+  }
+  // モデル・解像度・秒数は元動画から引き継ぎ、プロンプトだけを差し替える
+  const sanitized = sanitizeVideoParams({
+    prompt: rawParams.prompt,
+    model: record.model,
+    size: record.size,
+    seconds: record.seconds,
+  }, null);
+  if (sanitized.errors.length > 0) {
+    throw httpError(400, 'Validation error', { errors: sanitized.errors });
+  }
+  return createVideoJob(sanitized, {
+    remixOf: record.id,
+    remixOfProviderVideoId: record.providerVideoId,
+  });
+}
+
+/**
+ * 次のポーリングまでの待ち時間。失敗が続くほど指数的に（ジッタ付きで）間隔を広げ、
+ * Retry-After やサーキットブレーカーの再開時刻が分かっていればそれより前には問い合わせない。
+ */
+function nextPollDelay(consecutiveFailures, err) {
+  if (consecutiveFailures === 0) {
+    return POLL_INTERVAL_MS;
+  }
+  const ceiling = Math.min(POLL_INTERVAL_MS * 2 ** consecutiveFailures, MAX_POLL_BACKOFF_MS);
+  const backoff = ceiling / 2 + Math.random() * (ceiling / 2);
+  return Math.round(Math.max(backoff, (err && err.retryAfterMs) || 0, POLL_INTERVAL_MS));
+}
+
+// ポーリングで完了・失敗を検知したときに送信 Webhook を出す
+function notifyVideoFinished(record) {
+  if (!['completed', 'failed'].includes(record.status)) {
     return;
   }
-  res.end();
+  notifier.notify(`video.${record.status}`, {
+    video: {
+      id: record.id,
+      providerVideoId: record.providerVideoId,
+      status: record.status,
+      prompt: record.prompt,
+      title: record.title || null,
+      model: record.model,
+      size: record.size,
+      seconds: record.seconds,
+      batchId: record.batchId || null,
+      costEstimateUsd: record.status === 'failed' ? 0 : record.costEstimateUsd,
+      errorCode: record.errorCode || null,
+      errorMessage: record.errorMessage || null,
+      finishedAt: record.statusChangedAt || record.updatedAt,
+      contentPath: `/api/videos/${record.id}/content`,
+    },
+  });
+}
+
+function markStalled(record) {
+  const now = new Date();
+  const previousStatus = record.status;
+  record.status = 'stalled';
+  record.errorCode = 'stalled';
+  record.errorMessage = `No result from the provider after ${MAX_POLL_DURATION_MS / 60000} minutes`;
+  record.updatedAt = now.toISOString();
+  delete record.lastError;
+  delete record.lastErrorCode;
+  logger.warn('Video stalled; polling stopped', { videoId: record.id, providerVideoId: record.providerVideoId });
+  audit.append('video.status', {
+    videoId: record.id,
+    providerVideoId: record.providerVideoId,
+    from: previousStatus,
+    to: record.status,
+    progress: record.progress,
+    elapsedMs: now - Date.parse(record.submittedAt || record.createdAt),
+    inStatusMs: now - Date.parse(record.statusChangedAt || record.submittedAt || record.createdAt),
+    errorCode: record.errorCode,
+    errorMessage: record.errorMessage,
+    costEstimateUsd: record.costEstimateUsd,
+  });
+  record.statusChangedAt = record.updatedAt;
+  persistVideos();
+  publishVideoEvent(record);
 }
 
 function scheduleStatusPoll(videoId) {
   if (pollHandles.has(videoId)) {
     return;
   }
-  const poll = async () => {
+  let consecutiveFailures = 0;
+  let polling = false;
+  let triggered = false;
+  const pollOnce = async () => {
     const record = videos.get(videoId);
     if (!record || !['queued', 'in_progress'].includes(record.status)) {
-      pollHandles.delete(videoId);
+      stopStatusPoll(videoId);
       return;
     }
+    let lastErr = null;
+    const previousStatus = record.status;
+    const previousProgress = record.progress;
     try {
-      const statusResponse = await callOpenAIVideoStatus(record.providerVideoId);
+      const statusResponse = await provider.getVideo(record.providerVideoId);
+      if (!pollHandles.has(videoId)) {
+        // 待っている間に取り消し・削除された
+        return;
+      }
       if (statusResponse.status) {
         record.status = statusResponse.status;
       }
@@ -334,6 +1441,7 @@ function scheduleStatusPoll(videoId) {
       if (statusResponse.error) {
         record.status = 'failed';
         record.errorMessage = statusResponse.error.message || String(statusResponse.error);
+        record.errorCode = classifyGenerationFailure(statusResponse.error);
       }
       const dur =
         (statusResponse && (statusResponse.duration_seconds ?? statusResponse.duration ?? statusResponse.length_seconds));
@@ -347,47 +1455,467 @@ function scheduleStatusPoll(videoId) {
       } else if (statusResponse.width && statusResponse.height) {
         record.resolution = `${statusResponse.width}x${statusResponse.height}`;
       }
-      record.updatedAt = new Date().toISOString();
+      const now = new Date();
+      record.updatedAt = now.toISOString();
+      if (record.lastError) {
+        logger.info('Status poll recovered', { videoId, providerVideoId: record.providerVideoId });
+        delete record.lastError;
+        delete record.lastErrorCode;
+      }
+      consecutiveFailures = 0;
+      if (record.status !== previousStatus) {
+        const finished = !['queued', 'in_progress'].includes(record.status);
+        audit.append('video.status', {
+          videoId,
+          providerVideoId: record.providerVideoId,
+          from: previousStatus,
+          to: record.status,
+          progress: record.progress,
+          // 送信からの経過時間と、直前の状態に留まっていた時間
+          elapsedMs: now - Date.parse(record.submittedAt || record.createdAt),
+          inStatusMs: now - Date.parse(record.statusChangedAt || record.submittedAt || record.createdAt),
+          ...(finished ? {
+            errorCode: record.errorCode,
+            errorMessage: record.errorMessage,
+            costEstimateUsd: record.status === 'failed' ? 0 : record.costEstimateUsd,
+            usage: statusResponse.usage ?? null,
+            response: summarizeProviderResponse(statusResponse),
+          } : {}),
+        });
+        record.statusChangedAt = record.updatedAt;
+      }
+      persistVideos();
+      if (record.status !== previousStatus || record.progress !== previousProgress) {
+        publishVideoEvent(record);
+      }
       if (!['queued', 'in_progress'].includes(record.status)) {
-        pollHandles.delete(videoId);
+        stopStatusPoll(videoId);
+        notifyVideoFinished(record);
+        if (record.status === 'completed') {
+          cacheVideoAssets(record);
+        }
+        pumpQueue();
         return;
       }
     } catch (err) {
-      record.lastError = err.message;
-      record.updatedAt = new Date().toISOString();
+      if (!pollHandles.has(videoId)) {
+        return;
+      }
+      consecutiveFailures += 1;
+      lastErr = err;
+      // 同じエラーが続く間は最初の 1 回だけ記録する
+      if (record.lastError !== err.message) {
+        logger.warn('Status poll failed', { videoId, providerVideoId: record.providerVideoId, err });
+        audit.append('video.poll_error', {
+          videoId,
+          providerVideoId: record.providerVideoId,
+          error: err.message,
+          errorCode: providerErrorCode(err),
+        });
+        record.lastError = err.message;
+        record.lastErrorCode = providerErrorCode(err);
+        record.updatedAt = new Date().toISOString();
+        persistVideos();
+        publishVideoEvent(record, 'progress');
+      }
+    }
+    // 期限切れでも先に提供元へ問い合わせ、それでも終わっていないときだけ stalled にする
+    // （再起動や停止が長引いた間に完了していたジョブを取りこぼさない）
+    if (Date.now() - Date.parse(record.submittedAt || record.createdAt) > MAX_POLL_DURATION_MS) {
+      stopStatusPoll(videoId);
+      markStalled(record);
+      pumpQueue();
+      return;
+    }
+    pollHandles.set(videoId, setTimeout(poll, triggered ? 0 : nextPollDelay(consecutiveFailures, lastErr)));
+  };
+  const poll = async () => {
+    polling = true;
+    triggered = false;
+    try {
+      await pollOnce();
+    } finally {
+      polling = false;
     }
-    pollHandles.set(videoId, setTimeout(poll, POLL_INTERVAL_MS));
   };
-  pollHandles.set(videoId, setTimeout(poll, POLL_INTERVAL_MS));
+  // 問い合わせ中なら終わった直後に、待機中なら今すぐもう一度問い合わせる
+  pollTriggers.set(videoId, () => {
+    if (polling) {
+      triggered = true;
+      return;
+    }
+    clearTimeout(pollHandles.get(videoId));
+    pollHandles.set(videoId, requestContext.exit(() => setTimeout(poll, 0)));
+  });
+  // タイマーが作成元リクエストの requestId を引き継がないようにする
+  pollHandles.set(videoId, requestContext.exit(() => setTimeout(poll, POLL_INTERVAL_MS)));
+}
+
+/**
+ * Webhook で状態の変化を知らされた動画をすぐに問い合わせる。
+ * イベント本文には動画 ID しか無いので、詳細（進捗・エラー・usage）はポーリングと同じ経路で取り直す。
+ */
+function triggerStatusPoll(videoId) {
+  const trigger = pollTriggers.get(videoId);
+  if (!trigger || !pollHandles.has(videoId)) {
+    return false;
+  }
+  trigger();
+  return true;
+}
+
+function findByProviderVideoId(providerVideoId) {
+  for (const record of videos.values()) {
+    if (record.providerVideoId === providerVideoId) {
+      return record;
+    }
+  }
+  return null;
+}
+
+function handleProviderWebhook(event) {
+  const providerVideoId = event && event.data && event.data.id;
+  if (typeof event.type !== 'string' || !event.type.startsWith('video.') || typeof providerVideoId !== 'string') {
+    return { handled: false, reason: 'ignored_event' };
+  }
+  const record = findByProviderVideoId(providerVideoId);
+  if (!record) {
+    return { handled: false, reason: 'unknown_video' };
+  }
+  audit.append('video.webhook', {
+    videoId: record.id,
+    providerVideoId,
+    eventId: event.id,
+    eventType: event.type,
+    status: record.status,
+  });
+  if (!['queued', 'in_progress'].includes(record.status)) {
+    return { handled: false, reason: 'already_finished', videoId: record.id };
+  }
+  if (!pollHandles.has(record.id)) {
+    scheduleStatusPoll(record.id);
+  }
+  triggerStatusPoll(record.id);
+  return { handled: true, videoId: record.id };
 }
 
-const server = http.createServer(async (req, res) => {
+async function handleRequest(req, res, context) {
   try {
     const requestUrl = new URL(req.url, `http://${req.headers.host}`);
     const { pathname } = requestUrl;
 
+    const corsHeaders = corsHeadersFor(req);
+
     if (req.method === 'OPTIONS') {
       res.writeHead(204, {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        ...corsHeaders,
+        ...(corsHeaders['Access-Control-Allow-Origin'] ? {
+          'Access-Control-Allow-Methods': 'GET,POST,PATCH,DELETE,OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+        } : {}),
       });
       res.end();
       return;
     }
 
-    const sendJson = (status, payload) => {
+    const sendJson = (status, payload, headers = {}) => {
       res.writeHead(status, {
         'Content-Type': 'application/json; charset=utf-8',
-        'Access-Control-Allow-Origin': '*',
+        ...corsHeaders,
+        ...headers,
       });
       res.end(JSON.stringify(payload));
     };
 
     if (pathname.startsWith('/api')) {
+      if (pathname === '/api/login') {
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        // JSON 以外（クロスサイトの素の form 送信など）は受け付けない
+        if (!(req.headers['content-type'] || '').startsWith('application/json') || !isTrustedOrigin(req)) {
+          sendJson(403, { message: 'Login must be a same-origin JSON request', code: 'forbidden' });
+          return;
+        }
+        if (!auth.passwordLogin) {
+          sendJson(404, { message: 'Password login is not configured' });
+          return;
+        }
+        let body;
+        try {
+          body = await parseJsonBody(req);
+        } catch (err) {
+          sendJson(400, { message: err.message || 'Invalid request body' });
+          return;
+        }
+        const result = auth.checkPassword(req.socket.remoteAddress, body.password);
+        audit.append(result === 'ok' ? 'auth.login' : 'auth.login_failed', {
+          remoteAddress: req.socket.remoteAddress,
+          ...(result === 'ok' ? {} : { reason: result }),
+        });
+        if (result === 'locked') {
+          sendJson(429, { message: 'Too many failed login attempts; try again later', code: 'login_locked' });
+          return;
+        }
+        if (result !== 'ok') {
+          sendJson(401, { message: 'Invalid password', code: 'invalid_password' });
+          return;
+        }
+        const { cookie, csrfToken } = auth.issueSession(req);
+        sendJson(200, { authenticated: true, csrfToken }, { 'Set-Cookie': cookie });
+        return;
+      }
+
+      // Webhook はセッションではなく署名で認証する
+      if (pathname === '/api/webhooks/openai') {
+        context.actor = 'webhook';
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        if (!webhookVerifier) {
+          sendJson(404, { message: 'Webhooks are not configured (set OPENAI_WEBHOOK_SECRET)' });
+          return;
+        }
+        let event;
+        try {
+          event = webhookVerifier.verify(req.headers, await readRawBody(req));
+        } catch (err) {
+          logger.warn('Rejected webhook', { code: err.code, webhookId: req.headers['webhook-id'], err });
+          audit.append('webhook.rejected', {
+            webhookId: req.headers['webhook-id'] || null,
+            reason: err.code || 'invalid_request',
+            remoteAddress: req.socket.remoteAddress,
+          });
+          sendJson(err.statusCode || (err.code === 'replayed' ? 409 : 400), {
+            message: err.message,
+            code: err.code || 'invalid_request',
+          });
+          return;
+        }
+        // 知らない動画や対象外のイベントでも 2xx を返し、プロバイダに再送させない
+        sendJson(200, { received: true, ...handleProviderWebhook(event) });
+        return;
+      }
+
+      const identity = auth.authenticate(req);
+      context.actor = identity ? identity.via : 'anonymous';
+
+      if (pathname === '/api/session' && req.method === 'GET') {
+        sendJson(200, {
+          authEnabled: auth.enabled,
+          passwordLogin: auth.passwordLogin,
+          authenticated: Boolean(identity),
+          via: identity ? identity.via : null,
+          csrfToken: identity && identity.session ? auth.csrfTokenFor(identity.session) : null,
+        });
+        return;
+      }
+
+      if (!identity) {
+        sendJson(401, { message: 'Authentication required', code: 'unauthorized' }, {
+          'WWW-Authenticate': 'Bearer',
+        });
+        return;
+      }
+      if (!auth.verifyCsrf(req, identity)) {
+        sendJson(403, { message: 'Missing or invalid CSRF token', code: 'csrf_failed' });
+        return;
+      }
+
+      if (pathname === '/api/logout') {
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        // Cookie を消すだけでは控えられた値が期限まで使えるので、セッション自体を失効させる
+        if (identity.via === 'session') {
+          revokedSessionStore.save(auth.revokeSession(identity.session));
+          audit.append('auth.logout', { remoteAddress: req.socket.remoteAddress });
+        }
+        sendJson(200, { authenticated: false }, { 'Set-Cookie': auth.clearSessionCookie(req) });
+        return;
+      }
+
+      if (pathname === '/api/events') {
+        if (req.method !== 'GET') {
+          methodNotAllowed(res);
+          return;
+        }
+        eventStream.handle(req, res, corsHeaders);
+        return;
+      }
+
       if (req.method === 'GET' && pathname === '/api/videos') {
-        const list = Array.from(videos.values()).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        sendJson(200, { videos: list });
+        const { query, errors } = parseVideoQuery(requestUrl.searchParams);
+        if (errors.length > 0) {
+          sendJson(400, { message: 'Invalid query', errors });
+          return;
+        }
+        sendJson(200, queryVideos(videos.values(), query));
+        return;
+      }
+
+      if (pathname === '/api/videos/batch') {
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        const contentType = req.headers['content-type'] || '';
+        let expanded;
+        let body;
+        try {
+          if (contentType.startsWith('text/csv')) {
+            body = { csv: await readTextBody(req), name: requestUrl.searchParams.get('name') };
+          } else {
+            body = await parseJsonBody(req);
+          }
+          expanded = expandBatchRequest(body, { maxEntries: MAX_BATCH_SIZE });
+        } catch (err) {
+          sendJson(400, { message: err.message || 'Invalid request body' });
+          return;
+        }
+        if (expanded.entries.length === 0) {
+          sendJson(400, { message: 'Batch must contain at least one entry' });
+          return;
+        }
+        if (expanded.entries.length > MAX_BATCH_SIZE) {
+          sendJson(400, { message: `Batch must not exceed ${MAX_BATCH_SIZE} entries (got ${expanded.entries.length})` });
+          return;
+        }
+
+        // 1 件でも不正なら何も作らず、行番号付きでまとめて返す
+        const sanitizedList = expanded.entries.map((entry) => sanitizeVideoParams(entry, null));
+        const errors = sanitizedList
+          .map((sanitized, index) => ({ index, errors: sanitized.errors }))
+          .filter((entry) => entry.errors.length > 0);
+        if (errors.length > 0) {
+          sendJson(400, { message: 'Validation error', errors });
+          return;
+        }
+
+        try {
+          const { batch, records } = createBatch(sanitizedList, {
+            name: typeof body.name === 'string' ? body.name.trim() : '',
+            source: expanded.source,
+          });
+          sendJson(201, { batchId: batch.id, batch: summarizeBatch(batch, videos), videos: records });
+        } catch (err) {
+          sendJson(err.statusCode || 500, { message: err.message, ...err.details });
+        }
+        return;
+      }
+
+      if (pathname === '/api/export') {
+        if (req.method !== 'GET') {
+          methodNotAllowed(res);
+          return;
+        }
+        const { entries, summary } = await buildExportEntries();
+        audit.append('library.export', summary);
+        const filename = `sora-library-${new Date().toISOString().slice(0, 10)}.tar`;
+        res.writeHead(200, {
+          ...corsHeaders,
+          'Content-Type': 'application/x-tar',
+          'Content-Length': String(tarSize(entries)),
+          'Content-Disposition': `attachment; filename="${filename}"`,
+          'Cache-Control': 'no-store',
+        });
+        const archive = createTarStream(entries);
+        archive.on('error', (err) => {
+          logger.error('Export failed', { err });
+          res.destroy(err);
+        });
+        archive.pipe(res);
+        return;
+      }
+
+      if (pathname === '/api/import') {
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        const contentType = req.headers['content-type'] || '';
+        if (!/^application\/(x-tar|octet-stream)\b/.test(contentType)) {
+          sendJson(415, { message: 'Send the archive as application/x-tar' });
+          return;
+        }
+        let archivePath = null;
+        try {
+          archivePath = await spoolImportArchive(req);
+          sendJson(200, await importLibrary(archivePath));
+        } catch (err) {
+          sendJson(err.statusCode || 500, { message: err.message, ...err.details });
+        } finally {
+          if (archivePath) {
+            await fs.promises.rm(archivePath, { force: true });
+          }
+        }
+        return;
+      }
+
+      if (pathname === '/api/templates') {
+        if (req.method === 'GET') {
+          sendJson(200, { templates: listTemplates() });
+          return;
+        }
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        try {
+          sendJson(201, { template: createTemplate(await parseJsonBody(req)) });
+        } catch (err) {
+          sendJson(err.statusCode || 400, { message: err.message || 'Invalid request body', ...err.details });
+        }
+        return;
+      }
+
+      const templateMatch = pathname.match(/^\/api\/templates\/([^/]+)$/);
+      if (templateMatch) {
+        const template = templates.get(templateMatch[1]);
+        if (!template) {
+          sendJson(404, { message: 'Template not found' });
+          return;
+        }
+        if (req.method === 'GET') {
+          sendJson(200, { template });
+        } else if (req.method === 'PATCH') {
+          try {
+            sendJson(200, { template: updateTemplate(template, await parseJsonBody(req)) });
+          } catch (err) {
+            sendJson(err.statusCode || 400, { message: err.message || 'Invalid request body', ...err.details });
+          }
+        } else if (req.method === 'DELETE') {
+          deleteTemplate(template);
+          sendJson(200, { templateId: template.id, deleted: true });
+        } else {
+          methodNotAllowed(res);
+        }
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/api/batches') {
+        sendJson(200, { batches: listBatchSummaries() });
+        return;
+      }
+
+      const batchMatch = pathname.match(/^\/api\/batches\/([^/]+)$/);
+      if (batchMatch) {
+        if (req.method !== 'GET') {
+          methodNotAllowed(res);
+          return;
+        }
+        const batch = batches.get(batchMatch[1]);
+        if (!batch) {
+          sendJson(404, { message: 'Batch not found' });
+          return;
+        }
+        sendJson(200, {
+          batch: summarizeBatch(batch, videos),
+          videos: batch.videoIds.map((videoId) => videos.get(videoId)).filter(Boolean),
+        });
         return;
       }
 
@@ -405,53 +1933,100 @@ const server = http.createServer(async (req, res) => {
             rawParams = await parseJsonBody(req);
           }
         } catch (err) {
-          const status = err.message && err.message.includes('exceed') ? 413 : 400;
-          sendJson(status, { message: err.message || 'Invalid request body' });
+          sendJson(err.statusCode || 400, { message: err.message || 'Invalid request body', ...err.details });
           return;
         }
 
-        const sanitized = sanitizeVideoParams(rawParams, inputReference);
-        if (sanitized.errors.length > 0) {
-          sendJson(400, { message: 'Validation error', errors: sanitized.errors });
-          return;
+        // キューに回ったジョブの参照メディアは spoolReference で移動済みなので、残っていれば不要な一時ファイル
+        try {
+          const templated = applyVideoTemplate(rawParams);
+          if (templated.errors.length > 0) {
+            sendJson(400, { message: 'Validation error', errors: templated.errors });
+            return;
+          }
+          const sanitized = sanitizeVideoParams(templated.params, inputReference);
+          if (sanitized.errors.length > 0) {
+            sendJson(400, { message: 'Validation error', errors: sanitized.errors });
+            return;
+          }
+
+          let record;
+          try {
+            record = await createVideoJob(sanitized, templated.template ? { template: templated.template } : {});
+          } catch (err) {
+            sendJson(err.statusCode || 500, { message: err.message, ...err.details });
+            return;
+          }
+          sendJson(201, { videoId: record.id, video: record });
+        } finally {
+          await discardUpload(inputReference);
         }
+        return;
+      }
 
-        let apiResponse;
+      const actionMatch = pathname.match(/^\/api\/videos\/([^/]+)\/(cancel|retry|remix)$/);
+      if (actionMatch) {
+        if (req.method !== 'POST') {
+          methodNotAllowed(res);
+          return;
+        }
+        const [, id, action] = actionMatch;
+        const record = videos.get(id);
+        if (!record) {
+          sendJson(404, { message: 'Video not found' });
+          return;
+        }
         try {
-          apiResponse = await callOpenAIVideoCreate(sanitized);
+          if (action === 'cancel') {
+            const providerResult = await cancelVideo(record);
+            sendJson(200, { video: record, provider: providerResult });
+          } else if (action === 'remix') {
+            let rawParams;
+            try {
+              rawParams = await parseJsonBody(req);
+            } catch (err) {
+              sendJson(400, { message: err.message || 'Invalid request body' });
+              return;
+            }
+            const bodyErrors = jsonObjectErrors(rawParams);
+            if (bodyErrors.length > 0) {
+              sendJson(400, { message: 'Validation error', errors: bodyErrors });
+              return;
+            }
+            const remixed = await remixVideo(record, rawParams);
+            sendJson(201, { videoId: remixed.id, video: remixed });
+          } else {
+            const retried = await retryVideo(record);
+            sendJson(201, { videoId: retried.id, video: retried });
+          }
         } catch (err) {
-          sendJson(502, { message: err.message });
-          return;
-        }
-
-        const hadInputReference = Boolean(sanitized.inputReference);
-        sanitized.inputReference = null;
-
-        const videoId = crypto.randomUUID();
-        const now = new Date().toISOString();
-        const record = {
-          id: videoId,
-          providerVideoId: apiResponse.id || apiResponse.video_id || apiResponse.videoId,
-          status: apiResponse.status || 'queued',
-          progress: typeof apiResponse.progress === 'number' ? apiResponse.progress : 0,
-          prompt: sanitized.prompt,
-          model: sanitized.model,
-          // 新フィールド
-          size: sanitized.size,
-          seconds: sanitized.seconds,
-          // 旧フィールド（後方互換のため併記）
-          resolution: sanitized.size,
-          durationSeconds: sanitized.seconds,
-          input_reference: hadInputReference,
-          createdAt: now,
-          updatedAt: now,
-          metadata: apiResponse.metadata || {},
-        };
-        videos.set(videoId, record);
-        if (record.providerVideoId) {
-          scheduleStatusPoll(videoId);
+          sendJson(err.statusCode || 500, { message: err.message, ...err.details });
         }
-        sendJson(201, { videoId, video: record });
+        return;
+      }
+
+      const videoMatch = pathname.match(/^\/api\/videos\/([^/]+)$/);
+      if (videoMatch) {
+        const record = videos.get(videoMatch[1]);
+        if (!record) {
+          sendJson(404, { message: 'Video not found' });
+          return;
+        }
+        if (req.method === 'PATCH') {
+          try {
+            annotateVideo(record, await parseJsonBody(req));
+            sendJson(200, { video: record });
+          } catch (err) {
+            sendJson(err.statusCode || 400, { message: err.message || 'Invalid request body', ...err.details });
+          }
+          return;
+        }
+        if (req.method !== 'DELETE') {
+          methodNotAllowed(res);
+          return;
+        }
+        const providerResult = await deleteVideo(record);
+        sendJson(200, { videoId: record.id, deleted: true, provider: providerResult });
         return;
       }
 
@@ -473,7 +2048,7 @@ const server = http.createServer(async (req, res) => {
 
       const contentMatch = pathname.match(/^\/api\/videos\/([^/]+)\/content$/);
       if (contentMatch) {
-        if (req.method !== 'GET') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
           methodNotAllowed(res);
           return;
         }
@@ -487,12 +2062,87 @@ const server = http.createServer(async (req, res) => {
           sendJson(400, { message: 'Video is not ready yet' });
           return;
         }
-        await pipeOpenAIContent(req, res, record.providerVideoId);
+        const variant = requestUrl.searchParams.get('variant') || 'video';
+        if (!CONTENT_VARIANTS.includes(variant)) {
+          sendJson(400, { message: `variant must be one of ${CONTENT_VARIANTS.join(', ')}` });
+          return;
+        }
+        const asset = variant === 'video' ? null : record.assets && record.assets[variant];
+        const served = await contentCache.serve(req, res, record.id, {
+          variant,
+          contentType: asset && asset.contentType
+            ? asset.contentType
+            : (variant === 'video' ? 'video/mp4' : 'application/octet-stream'),
+          // サムネイル類は一度キャッシュしたら変わらないので、一覧の再描画で再検証させない
+          headers: variant === 'video' ? {} : { 'Cache-Control': 'private, max-age=86400' },
+        });
+        if (served) {
+          return;
+        }
+        // キャッシュミス時は上流をプロキシしつつ、裏でキャッシュを作っておく
+        if (record.status === 'completed') {
+          cacheVideoContent(record, variant);
+        }
+        await pipeProviderContent(req, res, record.providerVideoId, variant);
+        return;
+      }
+
+      if (pathname === '/api/estimate' && req.method === 'GET') {
+        const estimate = estimateCost({
+          model: requestUrl.searchParams.get('model') || validationPolicy.defaults.model,
+          size: requestUrl.searchParams.get('size') || validationPolicy.defaults.size,
+          seconds: requestUrl.searchParams.get('seconds') || validationPolicy.defaults.seconds,
+        }, pricing);
+        sendJson(200, { estimate, budget: currentBudget() });
+        return;
+      }
+
+      if (pathname === '/api/audit' && req.method === 'GET') {
+        const filters = Object.fromEntries(
+          ['videoId', 'action', 'requestId', 'since', 'until', 'limit']
+            .map((key) => [key, requestUrl.searchParams.get(key)])
+            .filter(([, value]) => value),
+        );
+        for (const key of ['since', 'until']) {
+          if (filters[key] && Number.isNaN(Date.parse(filters[key]))) {
+            sendJson(400, { message: `${key} must be an ISO 8601 timestamp` });
+            return;
+          }
+        }
+        sendJson(200, await audit.query(filters));
+        return;
+      }
+
+      if (pathname === '/api/capabilities' && req.method === 'GET') {
+        const capabilities = describeCapabilities(validationPolicy);
+        sendJson(200, {
+          ...capabilities,
+          limits: { ...capabilities.limits, maxBatchSize: MAX_BATCH_SIZE },
+        });
+        return;
+      }
+
+      if (pathname === '/api/prompts' && req.method === 'GET') {
+        const { query, errors } = parsePromptHistoryQuery(requestUrl.searchParams);
+        if (errors.length > 0) {
+          sendJson(400, { message: 'Invalid query', errors });
+          return;
+        }
+        sendJson(200, listPromptHistory(videos.values(), query));
+        return;
+      }
+
+      if (pathname === '/api/tags' && req.method === 'GET') {
+        sendJson(200, { tags: countTags(videos.values()) });
         return;
       }
 
       if (pathname === '/api/settings' && req.method === 'GET') {
-        sendJson(200, { hasApiKey: Boolean(API_KEY) });
+        sendJson(200, {
+          hasApiKey: provider.isConfigured(),
+          provider: provider.name,
+          providerStatus: describeProvider(),
+        });
         return;
       }
 
@@ -500,19 +2150,110 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    if (pathname === '/' || pathname === '') {
-      serveStatic(req, res, 'index.html');
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      methodNotAllowed(res);
+      return;
+    }
+
+    // 画面本体はログイン済みのときだけ返し、それ以外はログイン画面へ誘導する
+    const signedIn = Boolean(auth.authenticate(req));
+    if (pathname === '/login') {
+      if (signedIn) {
+        redirect(res, '/');
+        return;
+      }
+      await serveStatic(req, res, 'login.html');
+      return;
+    }
+    // /%69ndex.html や //index.html も同じファイルになるので、デコード・正規化した配信先で判定する
+    if (pathname === '/' || pathname === '' || staticFiles.resolve(pathname) === APP_SHELL_PATH) {
+      if (!signedIn) {
+        redirect(res, '/login');
+        return;
+      }
+      await serveStatic(req, res, 'index.html');
       return;
     }
 
-    const staticPath = pathname.replace(/^\//, '');
-    serveStatic(req, res, staticPath);
+    await serveStatic(req, res, pathname);
   } catch (err) {
+    logger.error('Unhandled request error', { method: req.method, url: req.url, err });
+    if (res.headersSent) {
+      res.destroy(err);
+      return;
+    }
     res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
-    res.end(JSON.stringify({ message: err.message }));
+    res.end(JSON.stringify({ message: err.message, requestId: context.requestId }));
   }
+}
+
+/**
+ * リクエストごとに requestId を振り（信頼できる形式なら X-Request-Id を引き継ぐ）、
+ * 応答が終わった時点でアクセスログを 1 行出す。
+ */
+const server = http.createServer((req, res) => {
+  const incomingId = req.headers['x-request-id'];
+  const requestId = typeof incomingId === 'string' && /^[A-Za-z0-9._-]{1,128}$/.test(incomingId)
+    ? incomingId
+    : crypto.randomUUID();
+  const context = { requestId, actor: null };
+  const startedAt = process.hrtime.bigint();
+  res.setHeader('X-Request-Id', requestId);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.on('close', () => {
+    const status = res.statusCode;
+    const pathname = (req.url || '').split('?')[0];
+    const fields = {
+      requestId,
+      method: req.method,
+      path: pathname,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      actor: context.actor,
+      remoteAddress: req.socket.remoteAddress,
+      ...(res.writableFinished ? {} : { aborted: true }),
+    };
+    if (status >= 500) {
+      logger.error('request', fields);
+    } else if (pathname.startsWith('/api')) {
+      logger.info('request', fields);
+    } else {
+      logger.debug('request', fields);
+    }
+  });
+  requestContext.run(context, () => handleRequest(req, res, context));
 });
 
+function shutdown() {
+  videoStore.flushSync();
+  batchStore.flushSync();
+  templateStore.flushSync();
+  revokedSessionStore.flushSync();
+  audit.flush().finally(() => process.exit(0));
+}
+
+restoreVideos();
+removeStaleUploads().catch((err) => logger.error('Failed to remove stale uploads', { err }));
+resumeContentCaching().catch((err) => logger.error('Failed to resume content caching', { err }));
+pumpQueue();
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 server.listen(PORT, HOST, () => {
-  console.log(`Server running at http://${HOST}:${PORT}`);
+  logger.info('Server running', {
+    url: `http://${HOST}:${PORT}`,
+    records: videos.size,
+    dataDir: DATA_DIR,
+    provider: provider.name,
+  });
+  if (!auth.enabled) {
+    logger.warn('Authentication is disabled (set AUTH_PASSWORD or API_TOKENS to enable it)');
+  } else if (!auth.passwordLogin) {
+    logger.warn('Only API_TOKENS is set; the API is token-only and the browser UI cannot sign in (set AUTH_PASSWORD to use it)');
+  } else if (!process.env.SESSION_SECRET) {
+    logger.warn('SESSION_SECRET is not set; sessions will not survive a restart');
+  }
+  if (notifier.enabled && !process.env.NOTIFY_WEBHOOK_SECRET) {
+    logger.warn('NOTIFY_WEBHOOK_SECRET is not set; outbound notifications will be sent unsigned');
+  }
 });